@@ -0,0 +1,200 @@
+import * as CryptoJS from 'crypto-js';
+import { ec } from 'elliptic';
+import _ from 'lodash';
+import { base58Decode, base58Encode } from './util';
+
+const EC = new ec('secp256k1');
+
+const ADDRESS_VERSION = '37'; // version byte of the addresses - they start with a 'P'
+const MULTISIG_ADDRESS_VERSION = '32'; // version byte of the multisig addresses - they start with a 'M'
+const SCRIPT_ADDRESS_VERSION = '3f'; // version byte of the addresses of the txOuts locked by a script - they start with a 'S'
+const MAX_MULTISIG_KEYS = 15;
+const MAX_ADDRESS_LENGTH = 35; // characters of the Base58Check encoding of 25 bytes - the decoding time grows with the square of the length
+
+// Transition mode - when false, the node no longer accepts (in its pool) nor creates outputs to legacy addresses (raw public keys)
+// The outputs to legacy addresses of the blockchain are still valid and can be spent
+const ACCEPT_LEGACY_ADDRESSES = process.env.LEGACY_ADDRESSES !== 'false';
+
+/**
+ * Double hash of data in hexa
+ * @param {string} hex
+ * @return {string}
+ * */
+const sha256d = (hex) => CryptoJS.SHA256(CryptoJS.SHA256(CryptoJS.enc.Hex.parse(hex))).toString();
+
+/**
+ * Hash of a public key - RIPEMD160(SHA256(compressed public key))
+ * @param {string} publicKey - compressed or uncompressed, in hexa
+ * @return {string}
+ * */
+const hashPublicKey = (publicKey) => {
+	const compressedPublicKey = EC.keyFromPublic(publicKey, 'hex').getPublic(true, 'hex');
+	return CryptoJS.RIPEMD160(CryptoJS.SHA256(CryptoJS.enc.Hex.parse(compressedPublicKey))).toString();
+};
+
+/**
+ * Address of a public key - Base58Check(version + hash of the public key + checksum)
+ * The checksum is the 4 first bytes of the double SHA256 of version + hash, so a typo in an address is detected
+ * @param {string} publicKey
+ * @return {string}
+ * */
+const publicKeyToAddress = (publicKey) => {
+	const payload = ADDRESS_VERSION + hashPublicKey(publicKey);
+	const checksum = sha256d(payload).slice(0, 8);
+	return base58Encode(payload + checksum);
+};
+
+/**
+ * Multisig (m-of-n) - the redeem descriptor { m, publicKeys } lists the n compressed public keys and the number m of signatures needed
+ * @param {object} redeem
+ * @return {boolean}
+ * */
+const isValidMultisigRedeem = (redeem) => {
+	if (redeem === null || typeof redeem !== 'object' || !(redeem.publicKeys instanceof Array)) {
+		return false;
+	}
+
+	const { m, publicKeys } = redeem;
+	const isCompressedPublicKey = (publicKey) => typeof publicKey === 'string' && publicKey.match('^0[23][a-f0-9]{64}$') !== null;
+
+	return Number.isInteger(m) && m >= 1 && m <= publicKeys.length && publicKeys.length <= MAX_MULTISIG_KEYS
+		&& publicKeys.every(isCompressedPublicKey)
+		&& _.uniq(publicKeys).length === publicKeys.length;
+};
+
+/**
+ * Hash of a redeem descriptor - RIPEMD160(SHA256(m + n + public keys)), the order of the public keys matters
+ * @param {object} redeem
+ * @return {string}
+ * */
+const hashMultisigRedeem = (redeem) => {
+	const toHexByte = (n) => ('0' + n.toString(16)).slice(-2);
+	const serialized = toHexByte(redeem.m) + toHexByte(redeem.publicKeys.length) + redeem.publicKeys.join('');
+	return CryptoJS.RIPEMD160(CryptoJS.SHA256(CryptoJS.enc.Hex.parse(serialized))).toString();
+};
+
+/**
+ * Address of a multisig - the payer only needs the address, the public keys are given when the output is spent
+ * @param {object} redeem - { m, publicKeys }
+ * @return {string}
+ * */
+const multisigToAddress = (redeem) => {
+	if (!isValidMultisigRedeem(redeem)) {
+		throw Error('invalid multisig: m must be between 1 and the number of public keys (at most ' + MAX_MULTISIG_KEYS + ' distinct compressed public keys)');
+	}
+
+	const payload = MULTISIG_ADDRESS_VERSION + hashMultisigRedeem(redeem);
+	const checksum = sha256d(payload).slice(0, 8);
+	return base58Encode(payload + checksum);
+};
+
+/**
+ * Address of a locking script - RIPEMD160(SHA256(script)), the txOut carries the script itself
+ * @param {string} script
+ * @return {string}
+ * */
+const scriptToAddress = (script) => {
+	const payload = SCRIPT_ADDRESS_VERSION + CryptoJS.RIPEMD160(CryptoJS.SHA256(script)).toString();
+	const checksum = sha256d(payload).slice(0, 8);
+	return base58Encode(payload + checksum);
+};
+
+/**
+ * Legacy address - an ECDSA public key in the 04 + X-coordinate + Y-coordinate format
+ * @param {string} address
+ * @return {boolean}
+ * */
+const isLegacyAddress = (address) => {
+	return address.length === 130 && address.match('^[a-fA-F0-9]+$') !== null && address.startsWith('04');
+};
+
+/**
+ * Get the hash of a Base58Check address
+ * @param {string} address
+ * @param {string} version - the expected version byte
+ * @return {string} null if the address is not a valid Base58Check address of this version
+ * */
+const decodeAddress = (address, version = ADDRESS_VERSION) => {
+	if (address.length > MAX_ADDRESS_LENGTH) {
+		return null;
+	}
+
+	const decoded = base58Decode(address);
+
+	// version (1 byte) + hash (20 bytes) + checksum (4 bytes)
+	if (decoded === null || decoded.length !== 50) {
+		return null;
+	}
+
+	const payload = decoded.slice(0, 42);
+	const checksum = decoded.slice(42);
+
+	if (sha256d(payload).slice(0, 8) !== checksum || !payload.startsWith(version)) {
+		return null;
+	}
+
+	return payload.slice(2);
+};
+
+/**
+ * @param {string} address
+ * @return {boolean}
+ * */
+const isMultisigAddress = (address) => decodeAddress(address, MULTISIG_ADDRESS_VERSION) !== null;
+
+/**
+ * @param {string} address
+ * @return {boolean}
+ * */
+const isScriptAddress = (address) => decodeAddress(address, SCRIPT_ADDRESS_VERSION) !== null;
+
+/**
+ * Check that a redeem descriptor is the one of a multisig address
+ * @param {string} address
+ * @param {object} redeem
+ * @return {boolean}
+ * */
+const addressMatchesMultisigRedeem = (address, redeem) => {
+	return isValidMultisigRedeem(redeem) && decodeAddress(address, MULTISIG_ADDRESS_VERSION) === hashMultisigRedeem(redeem);
+};
+
+/**
+ * Transactions validation - valid address is a Base58Check address (of a public key, a multisig or a script) or a legacy address (raw public key)
+ * @param {string} address
+ * @return {boolean}
+ * */
+const isValidAddress = (address) => {
+	if (typeof address !== 'string') {
+		console.log('address must be a string');
+		return false;
+	} else if (isLegacyAddress(address)) {
+		return true;
+	} else if (decodeAddress(address) === null && !isMultisigAddress(address) && !isScriptAddress(address)) {
+		// the input is truncated - it can be of any length
+		console.log('invalid address (or checksum): ' + (address.length > MAX_ADDRESS_LENGTH ? address.slice(0, MAX_ADDRESS_LENGTH) + '...' : address));
+		return false;
+	}
+
+	return true;
+};
+
+/**
+ * Check that a public key owns an address
+ * @param {string} address
+ * @param {string} publicKey - in hexa
+ * @return {boolean}
+ * */
+const addressMatchesPublicKey = (address, publicKey) => {
+	try {
+		if (isLegacyAddress(address)) {
+			return EC.keyFromPublic(publicKey, 'hex').getPublic().encode('hex') === address.toLowerCase();
+		}
+
+		return decodeAddress(address) === hashPublicKey(publicKey);
+	} catch (e) {
+		console.log('invalid public key: ' + publicKey);
+		return false;
+	}
+};
+
+export { ACCEPT_LEGACY_ADDRESSES, MAX_ADDRESS_LENGTH, MAX_MULTISIG_KEYS, publicKeyToAddress, multisigToAddress, scriptToAddress, isLegacyAddress, isMultisigAddress, isScriptAddress, isValidAddress, isValidMultisigRedeem, addressMatchesPublicKey, addressMatchesMultisigRedeem };
@@ -0,0 +1,173 @@
+import _ from 'lodash';
+import { loadPeers, savePeers } from './storage';
+
+/**
+ * Address book - the nodes we know, persisted in the data directory
+ * { url, persistent, lastSeen, failures, nextAttempt }
+ * - persistent: a seed peer or a peer added by hand, it is never forgotten
+ * - lastSeen: last time (in ms) a handshake was completed with it, null if never
+ * - failures: connections failed or dropped since the last handshake - the next attempt is delayed exponentially
+ * */
+let addressBook = {};
+let changed = false;
+
+const MAX_ADDRESSES = 1000;
+const MAX_FAILURES = 10; // an address which is not persistent is forgotten after this number of failures in a row
+const RETRY_DELAY = 1000; // in ms - delay before the first retry, doubled at each failure
+const MAX_RETRY_DELAY = 10 * 60 * 1000; // in ms
+
+/**
+ * @param {string} url
+ * @return {boolean} true for a websocket url with a host and a port
+ * */
+const isValidPeerUrl = (url) => {
+	return typeof url === 'string' && url.length <= 300 && /^wss?:\/\/(\[[0-9a-fA-F:.]+\]|[0-9a-zA-Z.-]+):[0-9]{1,5}$/.test(url);
+};
+
+/**
+ * @param {string} host - remote address of a socket
+ * @param {number} port
+ * @return {string} the url of the node listening on the port
+ * */
+const toPeerUrl = (host, port) => {
+	// an IPv4 address mapped to IPv6 (::ffff:127.0.0.1)
+	const address = host.replace(/^::ffff:(?=[0-9.]+$)/, '');
+	return 'ws://' + (address.includes(':') ? '[' + address + ']' : address) + ':' + port;
+};
+
+/**
+ * Load the address book and add the seed peers to it
+ * @param {array} seeds - urls
+ * @return {void}
+ * */
+const initAddressBook = (seeds) => {
+	addressBook = _.keyBy(loadPeers().filter((entry) => entry !== null && isValidPeerUrl(entry.url)), 'url');
+	seeds.forEach((url) => addAddress(url, true));
+	console.log('address book: %d known peers', _.size(addressBook));
+};
+
+/**
+ * @param {string} url
+ * @param {boolean} persistent
+ * @return {boolean} true if the address is new
+ * */
+const addAddress = (url, persistent = false) => {
+	if (!isValidPeerUrl(url)) {
+		console.log('invalid peer address: ' + url);
+		return false;
+	}
+
+	const entry = addressBook[url];
+
+	if (entry !== undefined) {
+		if (persistent && !entry.persistent) {
+			entry.persistent = true;
+			changed = true;
+		}
+		return false;
+	}
+
+	if (!persistent && _.size(addressBook) >= MAX_ADDRESSES) {
+		return false;
+	}
+
+	addressBook[url] = { 'url': url, 'persistent': persistent, 'lastSeen': null, 'failures': 0, 'nextAttempt': 0 };
+	changed = true;
+	return true;
+};
+
+const removeAddress = (url) => {
+	const entry = addressBook[url];
+
+	if (entry !== undefined && !entry.persistent) {
+		delete addressBook[url];
+		changed = true;
+	}
+};
+
+/**
+ * A handshake was completed with the node
+ * @param {string} url
+ * @return {void}
+ * */
+const markConnected = (url) => {
+	const entry = addressBook[url];
+
+	if (entry !== undefined) {
+		entry.lastSeen = Date.now();
+		entry.failures = 0;
+		entry.nextAttempt = 0;
+		changed = true;
+	}
+};
+
+/**
+ * The connection failed or dropped - the next attempt waits RETRY_DELAY * 2^(failures - 1)
+ * @param {string} url
+ * @return {void}
+ * */
+const markFailed = (url) => {
+	const entry = addressBook[url];
+
+	if (entry === undefined) {
+		return;
+	}
+
+	entry.failures++;
+
+	if (!entry.persistent && entry.failures >= MAX_FAILURES) {
+		console.log('forgetting peer address after %d failures: %s', entry.failures, url);
+		removeAddress(url);
+		return;
+	}
+
+	const delay = Math.min(RETRY_DELAY * Math.pow(2, entry.failures - 1), MAX_RETRY_DELAY);
+	entry.nextAttempt = Date.now() + delay;
+	changed = true;
+};
+
+/**
+ * The addresses to connect to, the ones seen most recently first
+ * @param {number} count
+ * @param {array} excludedUrls - the nodes we are connected or connecting to
+ * @return {array} urls
+ * */
+const getAddressesToConnect = (count, excludedUrls) => {
+	const now = Date.now();
+
+	return _(addressBook)
+		.values()
+		.filter((entry) => entry.nextAttempt <= now && !excludedUrls.includes(entry.url))
+		.orderBy([(entry) => entry.lastSeen || 0, 'failures'], ['desc', 'asc'])
+		.take(count)
+		.map((entry) => entry.url)
+		.value();
+};
+
+/**
+ * The addresses shared with the peers (ADDR) - the nodes we reached or were given by hand
+ * @param {number} max
+ * @return {array} urls
+ * */
+const getKnownAddresses = (max) => {
+	return _(addressBook)
+		.values()
+		.filter((entry) => entry.lastSeen !== null || entry.persistent)
+		.orderBy([(entry) => entry.lastSeen || 0], ['desc'])
+		.take(max)
+		.map((entry) => entry.url)
+		.value();
+};
+
+/**
+ * Write the address book if it changed
+ * @return {void}
+ * */
+const saveAddressBook = () => {
+	if (changed) {
+		savePeers(_.values(addressBook));
+		changed = false;
+	}
+};
+
+export { addAddress, getAddressesToConnect, getKnownAddresses, initAddressBook, isValidPeerUrl, markConnected, markFailed, removeAddress, saveAddressBook, toPeerUrl };
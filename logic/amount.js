@@ -0,0 +1,71 @@
+/**
+ * Amounts - the transactions and the unspent txOuts carry integer amounts in base units, there is no rounding in the sums
+ * 1 coin = 10^DECIMALS base units. The HTTP API takes and gives amounts in coins, the conversion is done at its boundary
+ * */
+const DECIMALS = 8;
+const COIN = Math.pow(10, DECIMALS); // base units in one coin
+
+/**
+ * @param {number} amount - in base units
+ * @return {boolean} true for an integer amount which can be added without loss of precision
+ * */
+const isValidAmount = (amount) => Number.isSafeInteger(amount) && amount >= 0;
+
+/**
+ * Sum of amounts - the sum must stay a safe integer
+ * @param {array} amounts - in base units
+ * @return {number} null on overflow or if an amount is invalid
+ * */
+const addAmounts = (amounts) => {
+	let sum = 0;
+
+	for (const amount of amounts) {
+		if (!isValidAmount(amount)) {
+			return null;
+		}
+
+		sum = sum + amount;
+
+		if (!Number.isSafeInteger(sum)) {
+			return null;
+		}
+	}
+
+	return sum;
+};
+
+/**
+ * Convert an amount in coins to base units - 0.1 is exactly 10000000
+ * A number is rounded to the closest base unit, it must convert back to the same number. A decimal string is parsed
+ * @param {number|string} coins - at most DECIMALS decimals
+ * @return {number}
+ * */
+const toBaseUnits = (coins) => {
+	const match = typeof coins === 'string' ? coins.match('^([0-9]+)(\\.([0-9]{1,' + DECIMALS + '}))?$') : null;
+	let units = null;
+
+	if (typeof coins === 'number' && Number.isFinite(coins) && Math.round(coins * COIN) / COIN === coins) {
+		units = Math.round(coins * COIN);
+	} else if (match !== null) {
+		units = parseInt(match[1], 10) * COIN + parseInt((match[3] || '').padEnd(DECIMALS, '0'), 10);
+	}
+
+	if (units === null || units < 0) {
+		throw Error('invalid amount: ' + coins + ', expected a number of coins with at most ' + DECIMALS + ' decimals');
+	}
+
+	if (!isValidAmount(units)) {
+		throw Error('invalid amount: ' + coins + ', too large');
+	}
+
+	return units;
+};
+
+/**
+ * Convert an amount in base units to coins
+ * @param {number} units
+ * @return {number}
+ * */
+const fromBaseUnits = (units) => units / COIN;
+
+export { COIN, DECIMALS, addAmounts, fromBaseUnits, isValidAmount, toBaseUnits };
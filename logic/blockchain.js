@@ -1,19 +1,26 @@
 import * as CryptoJS from 'crypto-js';
 import _ from 'lodash';
-import { broadcastLatest, broadCastTransactionPool } from './p2p';
-import { getCoinbaseTransaction, isValidAddress, processTransactions } from './transaction';
-import { addToTransactionPool, getTransactionPool, updateTransactionPool } from './transactionPool';
+import { isValidAmount } from './amount';
+import { getBlockSubsidy, getIssuedSupply, getNextHalving, HALVING_INTERVAL, MAX_SUPPLY } from './emission';
+import { getMerkleBranch, getMerkleRoot } from './merkle';
+import { handleNewTip, mineBlock } from './miner';
+import { broadcastLatest, broadcastTransactions } from './p2p';
+import { appendBlocks, hasUndoData, initStorage, loadBlocks, loadUndo, loadUnspentTxOuts, replaceBlocks, saveUnspentTxOuts } from './storage';
+import { applyTransaction, getCoinbaseTransaction, getSpentTxOuts, getTransactionFee, isMatureTxOut, isUnlockedTxOut, processTransactions, rollbackTransactions } from './transaction';
+import { addToTransactionPool, getPoolUnspentTxOuts, getTransactionPool, getTransactionsForBlock, updateTransactionPool } from './transactionPool';
 import { hexToBinary } from './util';
-import { createTransaction, findUnspentTxOuts, getBalance, getPrivateFromWallet, getPublicFromWallet } from './wallet';
+import { createConsolidationTransaction, createScriptTransaction, createTransaction, findUnspentTxOuts, getBalance, getNextChangeAddress, getPrivateKeysFromWallet, getPublicFromWallet, getWalletAddresses, useChangeAddress } from './wallet';
 
 const BLOCK_GENERATION_INTERVAL = 10; // in seconds - mining - defines how often a block should be found
 const DIFFICULTY_ADJUSTMENT_INTERVAL = 10; // in blocks - mining - defines how often the difficulty should adjust to the increasing or decreasing network hashrate
+const MAX_BLOCK_TRANSACTIONS_SIZE = 100000; // in bytes - mining - the maximum size of the transactions taken from the pool in a block
 
 class Block {
-	constructor(index, hash, previousHash, timestamp, data, difficulty, nonce) {
+	constructor(index, hash, previousHash, timestamp, merkleRoot, data, difficulty, nonce) {
 		this.index = index;
 		this.previousHash = previousHash;
 		this.timestamp = timestamp;
+		this.merkleRoot = merkleRoot; // String - root of the merkle tree of the transaction ids - the block hash commits to the transactions through it
 		this.data = data;
 		this.hash = hash;
 		this.difficulty = difficulty; // Number - Defines how many prefixing zeros the block hash must have - for the block to be valid
@@ -25,17 +32,17 @@ const genesisTransaction = {
 	'txIns': [{'signature': '', 'txOutId': '', 'txOutIndex': 0}],
 	'txOuts': [{
 		'address': '04bfcab8722991ae774db48f934ca79cfb7dd991229153b9f732ba5334aafcd8e7266e47076996b55a14bf9913ee3145ce0cfc1372ada8ada74bd287450313534a',
-		'amount': 50
+		'amount': 5000000000
 	}],
-	'id': 'e655f6a5f26dc9b4cac6e46f52336428287759cf81ef5ff10854f69d68f43fa3'
+	'id': '6304ece56f9307fca725c6b45c4d34fab3f8a56da6c5c17c0cb19021e3cdf59c'
 };
 
-const genesisBlock = new Block(0, '91a73664bc84c0baa1fc75ea6e4aa6d1d20c5df664c724e3159aefc2e1186627', '', 1465154705, [genesisTransaction], 0, 0);
+const genesisBlock = new Block(0, '9ad285de23daf0e17e13543dffa6816b820dce56a4b11888c3570be0c2d75dc5', '', 1465154705, genesisTransaction.id, [genesisTransaction], 0, 0);
 
 let blockchain = [genesisBlock];
 
 // the unspent txOut of genesis block is set to unspentTxOuts on startup
-let unspentTxOuts = processTransactions(blockchain[0].data, [], 0);
+let unspentTxOuts = processTransactions(blockchain[0].data, [], 0, blockchain[0].timestamp);
 
 const getBlockchain = () => blockchain;
 const getUnspentTxOuts = () => _.cloneDeep(unspentTxOuts);
@@ -48,19 +55,93 @@ const setUnspentTxOuts = (newUnspentTxOut) => {
 
 const getLatestBlock = () => blockchain[blockchain.length - 1];
 
+/**
+ * Undo data of blocks - the txOuts spent by each block
+ * @param {array} blocks - a valid chain from the genesis block
+ * @return {array}
+ * */
+const getUndoData = (blocks) => {
+	let aUnspentTxOuts = [];
+
+	return blocks.map((block) => {
+		const undo = getSpentTxOuts(block.data, aUnspentTxOuts);
+		aUnspentTxOuts = processTransactions(block.data, aUnspentTxOuts, block.index, block.timestamp);
+		return undo;
+	});
+};
+
+const storeGenesisBlock = () => {
+	replaceBlocks(0, [genesisBlock], [[]]);
+	saveUnspentTxOuts(unspentTxOuts, genesisBlock.hash);
+};
+
+/**
+ * Load the blockchain and the unspent txOuts stored on disk
+ * The stored chain is validated again, the snapshot of the unspent txOuts must match the one derived from the chain
+ * */
+const initBlockchain = () => {
+	initStorage();
+	const storedBlocks = loadBlocks();
+
+	if (storedBlocks.length === 0) {
+		console.log('no stored blockchain, starting from the genesis block');
+		storeGenesisBlock();
+		return;
+	}
+
+	const aUnspentTxOuts = isValidChain(storedBlocks);
+
+	// the blocks are kept - they may be valid with the consensus settings they were created with
+	if (aUnspentTxOuts === null) {
+		throw Error('the stored blockchain is invalid: check the consensus settings (COINBASE_MATURITY, HALVING_INTERVAL, BLOCK_SUBSIDY...) '
+			+ 'or move the data directory (DATA_DIR) aside to start from the genesis block');
+	}
+
+	blockchain = storedBlocks;
+	setUnspentTxOuts(aUnspentTxOuts);
+
+	// blocks stored by a previous version have no undo data
+	if (!hasUndoData()) {
+		console.log('computing the undo data of the stored blocks');
+		replaceBlocks(0, storedBlocks, getUndoData(storedBlocks));
+	}
+
+	const snapshot = loadUnspentTxOuts();
+	const serializeUnspentTxOuts = (aUTxOs) => JSON.stringify(_.sortBy(aUTxOs, ['txOutId', 'txOutIndex']));
+
+	if (snapshot === null || snapshot.tipHash !== getLatestBlock().hash || serializeUnspentTxOuts(snapshot.unspentTxOuts) !== serializeUnspentTxOuts(aUnspentTxOuts)) {
+		console.log('unspent txOuts snapshot does not match the stored blockchain, rewriting it');
+		saveUnspentTxOuts(unspentTxOuts, getLatestBlock().hash);
+	}
+
+	console.log('loaded %d blocks from disk', blockchain.length);
+};
+
 /**
  * ## Mining
- * Get the difficulty of the last block
+ * Get the difficulty of the next block
  *
  * @param {array} aBlockchain - the full blockchain
  * @return {number} the difficulty
  * */
 const getDifficulty = (aBlockchain) => {
-	const latestBlock = aBlockchain[blockchain.length - 1];
+	return getExpectedDifficulty(aBlockchain, aBlockchain.length);
+};
+
+/**
+ * ## Mining - consensus
+ * The difficulty a block at a given height must have - it only depends on the blocks before it
+ *
+ * @param {array} aBlockchain - blocks (or headers) from the genesis block, at least up to height - 1
+ * @param {number} height
+ * @return {number} the difficulty
+ * */
+const getExpectedDifficulty = (aBlockchain, height) => {
+	const latestBlock = aBlockchain[height - 1];
 
 	// For every 10 blocks that is generated, we check if the time that took to generate those blocks are larger or smaller than the expected time
 	if (latestBlock.index % DIFFICULTY_ADJUSTMENT_INTERVAL === 0 && latestBlock.index !== 0) {
-		return getAdjustedDifficulty(latestBlock, aBlockchain);
+		return getAdjustedDifficulty(latestBlock, aBlockchain[height - DIFFICULTY_ADJUSTMENT_INTERVAL]);
 	} else {
 		return latestBlock.difficulty;
 	}
@@ -72,19 +153,18 @@ const getDifficulty = (aBlockchain) => {
  * We increase or decrease the difficulty if the time taken is at least two times greater or smaller than the expected difficulty
  *
  * @param {object} latestBlock - the lastest block
- * @param {array} aBlockchain - the full blockchain
+ * @param {object} prevAdjustmentBlock - the block of the previous adjustment
  *
  * @return {number} the difficulty ajusted
  * */
-const getAdjustedDifficulty = (latestBlock, aBlockchain) => {
-	const prevAdjustmentBlock = aBlockchain[blockchain.length - DIFFICULTY_ADJUSTMENT_INTERVAL];
+const getAdjustedDifficulty = (latestBlock, prevAdjustmentBlock) => {
 	const timeExpected = BLOCK_GENERATION_INTERVAL * DIFFICULTY_ADJUSTMENT_INTERVAL;
 	const timeTaken = latestBlock.timestamp - prevAdjustmentBlock.timestamp;
 
 	if (timeTaken < timeExpected / 2) {
 		return prevAdjustmentBlock.difficulty + 1;
 	} else if (timeTaken > timeExpected * 2) {
-		return prevAdjustmentBlock.difficulty - 1;
+		return Math.max(prevAdjustmentBlock.difficulty - 1, 0);
 	} else {
 		return prevAdjustmentBlock.difficulty;
 	}
@@ -92,111 +172,265 @@ const getAdjustedDifficulty = (latestBlock, aBlockchain) => {
 
 const getCurrentTimestamp = () => Math.round(new Date().getTime() / 1000);
 
-const generateRawNextBlock = (blockData) => {
+/**
+ * ## Mining
+ * The block to mine on top of our latest block - the miner searches its nonce
+ *
+ * @param {array} blockData
+ * @return {object} { index, previousHash, timestamp, merkleRoot, data, difficulty }
+ * */
+const getBlockTemplate = (blockData) => {
 	const previousBlock = getLatestBlock();
-	const difficulty = getDifficulty(getBlockchain());
-	const nextIndex = previousBlock.index + 1;
-	const nextTimestamp = getCurrentTimestamp();
-	const newBlock = findBlock(nextIndex, previousBlock.hash, nextTimestamp, blockData, difficulty);
-
-	if (addBlockToChain(newBlock)) {
-		broadcastLatest();
-		return newBlock;
-	} else {
-		return null;
-	}
 
+	return {
+		'index': previousBlock.index + 1,
+		'previousHash': previousBlock.hash,
+		'timestamp': getCurrentTimestamp(),
+		'merkleRoot': getBlockMerkleRoot(blockData),
+		'data': blockData,
+		'difficulty': getDifficulty(getBlockchain())
+	};
 };
 
-// gets the unspent transaction outputs owned by the wallet
-const getMyUnspentTransactionOutputs = () => {
-	return findUnspentTxOuts(getPublicFromWallet(), getUnspentTxOuts());
+/**
+ * Mine a block with the given data - the work is done by the mining worker
+ * @param {array} blockData
+ * @return {Promise} the new block, null if it could not be added to the chain
+ * */
+const generateRawNextBlock = (blockData) => {
+	return mineBlock(() => blockData);
 };
 
 /**
- * The unconfirmed transaction will find its way from the local transaction pool to a block mined by the same node
+ * The confirmed unspent txOuts that can be spent in the next block - without the ones still locked by a relative lock and the immature coinbase txOuts
+ * @return {array}
  * */
-const generateNextBlock = () => {
-	const coinbaseTx = getCoinbaseTransaction(getPublicFromWallet(), getLatestBlock().index + 1);
-	const blockData = [coinbaseTx].concat(getTransactionPool());
+const getConfirmedSpendableUnspentTxOuts = () => {
+	const blockIndex = getLatestBlock().index + 1;
+	return getUnspentTxOuts().filter((uTxO) => isUnlockedTxOut(uTxO, blockIndex) && isMatureTxOut(uTxO, blockIndex));
+};
 
-	return generateRawNextBlock(blockData);
+/**
+ * The unspent txOuts that can be spent by a new transaction of the pool - the txOuts created by the transaction pool are included,
+ * the ones it spends are not. The wallet can spend its change before it is mined
+ * @return {array}
+ * */
+const getSpendableUnspentTxOuts = () => {
+	const blockIndex = getLatestBlock().index + 1;
+	return getPoolUnspentTxOuts(getUnspentTxOuts(), blockIndex).filter((uTxO) => isUnlockedTxOut(uTxO, blockIndex) && isMatureTxOut(uTxO, blockIndex));
 };
 
-const generatenextBlockWithTransaction = (receiverAddress, amount) => {
-	if (!isValidAddress(receiverAddress)) {
-		throw Error('invalid address');
-	}
+// gets the unspent transaction outputs owned by the wallet (all its addresses)
+const getMyUnspentTransactionOutputs = () => {
+	return findUnspentTxOuts(getWalletAddresses(), getUnspentTxOuts());
+};
 
-	if (typeof amount !== 'number') {
-		throw Error('invalid amount');
-	}
+/**
+ * Sum of the fees paid by the transactions of the next block - in the order of the block, a transaction can spend the txOuts of a previous one
+ * @param {array} transactions
+ * @return {number}
+ * */
+const getTransactionsFees = (transactions) => {
+	let aUnspentTxOuts = getUnspentTxOuts();
+	let fees = 0;
 
-	const coinbaseTx = getCoinbaseTransaction(getPublicFromWallet(), getLatestBlock().index + 1);
-	const tx = createTransaction(receiverAddress, amount, getPrivateFromWallet(), getUnspentTxOuts(), getTransactionPool());
-	const blockData = [coinbaseTx, tx];
+	for (const tx of transactions) {
+		fees = fees + getTransactionFee(tx, aUnspentTxOuts);
+		aUnspentTxOuts = applyTransaction(tx, aUnspentTxOuts, getLatestBlock().index + 1);
+	}
 
-	return generateRawNextBlock(blockData);
+	return fees;
 };
 
 /**
- * ## Mining core
- * To find a valid block hash we must increase the 'nonce' as until we get a valid hash
- *
- * @param {number} index - the index of the block
- * @param {string} previousHash - the previousHash of the block
- * @param {number} timestamp - the timestamp of the block
- * @param {array} data - the data of the block
- * @param {number} difficulty - the difficulty of the block
- *
- * @return {array} a new block (if the hash is correct in terms of difficulty)
+ * The unconfirmed transaction will find its way from the local transaction pool to a block mined by the same node
+ * The transactions paying the highest fee rate are included first, the miner collects their fees
+ * @return {array} the data of the next block
  * */
-const findBlock = (index, previousHash, timestamp, data, difficulty) => {
-	let nonce = 0;
+const getNextBlockData = () => {
+	const transactions = getTransactionsForBlock(getUnspentTxOuts(), MAX_BLOCK_TRANSACTIONS_SIZE, getLatestBlock().index + 1, getCurrentTimestamp());
+	const coinbaseTx = getCoinbaseTransaction(getPublicFromWallet(), getLatestBlock().index + 1, getTransactionsFees(transactions));
 
-	while (true) {
-		const hash = calculateHash(index, previousHash, timestamp, data, difficulty, nonce);
+	return [coinbaseTx].concat(transactions);
+};
 
-		if (hashMatchesDifficulty(hash, difficulty)) {
-			return new Block(index, hash, previousHash, timestamp, data, difficulty, nonce);
-		}
+/**
+ * @return {Promise} the new block, null if it could not be added to the chain
+ * */
+const generateNextBlock = () => {
+	return mineBlock(getNextBlockData);
+};
 
-		nonce++;
+/**
+ * Mine a block with a transaction of the wallet
+ * @param {array} outputs - the receivers [{ address, amount, relativeLock }]
+ * @param {number} fee
+ * @param {string} strategy - coin selection strategy
+ * @return {Promise} the new block, null if it could not be added to the chain
+ * */
+const generatenextBlockWithTransaction = (outputs, fee, strategy) => {
+	if (!isValidAmount(fee)) {
+		throw Error('invalid fee');
 	}
+
+	const tx = createTransaction(outputs, getPrivateKeysFromWallet(), getNextChangeAddress(), getConfirmedSpendableUnspentTxOuts(), getTransactionPool(), fee, strategy);
+	useChangeAddress(tx);
+
+	// the coinbase depends on the height, it is created again if a new block is found while mining
+	// it collects the real fee of the transaction - a change below the dust threshold is added to the requested fee
+	return mineBlock(() => [getCoinbaseTransaction(getPublicFromWallet(), getLatestBlock().index + 1, getTransactionsFees([tx])), tx]);
 };
 
+/**
+ * Balance of the wallet - the coinbase txOuts not mature yet are counted apart
+ * @return {object} { balance, immature }
+ * */
 const getAccountBalance = () => {
-	return getBalance(getPublicFromWallet(), getUnspentTxOuts());
+	const [matureTxOuts, immatureTxOuts] = _.partition(getUnspentTxOuts(), (uTxO) => isMatureTxOut(uTxO, getLatestBlock().index + 1));
+
+	return {
+		'balance': getBalance(getWalletAddresses(), matureTxOuts),
+		'immature': getBalance(getWalletAddresses(), immatureTxOuts)
+	};
+};
+
+/**
+ * The addresses which received a txOut, spent or not, in the blockchain or in the transaction pool
+ * @return {Set} addresses
+ * */
+const getUsedAddresses = () => {
+	const transactions = _.flatMap(blockchain, (block) => block.data).concat(getTransactionPool());
+	return new Set(_.flatMap(transactions, (tx) => tx.txOuts.map((txOut) => txOut.address)));
+};
+
+/**
+ * Supply - the coins of the unspent txOuts, and the coins created by the emission schedule up to the latest block
+ * Both are equal: the fees are paid back to the miners
+ * @return {object}
+ * */
+const getSupply = () => {
+	const height = getLatestBlock().index;
+
+	return {
+		'height': height,
+		'circulatingSupply': _.sumBy(unspentTxOuts, 'amount'),
+		'issuedSupply': getIssuedSupply(height + 1),
+		'maxSupply': MAX_SUPPLY,
+		'blockSubsidy': getBlockSubsidy(height + 1),
+		'halvingInterval': HALVING_INTERVAL,
+		'nextHalving': getNextHalving(height + 1)
+	};
 };
 
 /**
  * create transaction - We add the created transaction to the pool
+ * A time locked transaction stays in the pool until its lockTime is reached
+ * @param {array} outputs - the receivers [{ address, amount, relativeLock }]
+ * @param {number} fee
+ * @param {string} strategy - coin selection strategy
+ * @param {number} lockTime - optional, block height or timestamp
+ * @param {boolean} replaceable - optional, opt-in replace-by-fee
+ * @return {object}
+ * */
+const sendTransaction = (outputs, fee, strategy, lockTime, replaceable) => {
+	const tx = createTransaction(outputs, getPrivateKeysFromWallet(), getNextChangeAddress(), getSpendableUnspentTxOuts(), getTransactionPool(), fee, strategy, lockTime, replaceable);
+	addToTransactionPool(tx, getUnspentTxOuts(), getLatestBlock().index + 1);
+	useChangeAddress(tx);
+	broadcastTransactions([tx]);
+
+	return tx;
+};
+
+/**
+ * Spend a txOut locked by a script - We add the created transaction to the pool
+ * @param {object} scriptTxIn - { txOutId, txOutIndex, script, signWith }
+ * @param {array} outputs - the receivers [{ address, amount, relativeLock, script }]
+ * @param {number} fee
+ * @param {number} lockTime
+ * @return {object}
+ * */
+const sendScriptTransaction = (scriptTxIn, outputs, fee, lockTime) => {
+	// the wallet can stay locked when the unlocking script needs no signature
+	const privateKeys = scriptTxIn.signWith === undefined ? [] : getPrivateKeysFromWallet();
+	const tx = createScriptTransaction(scriptTxIn, outputs, privateKeys, getNextChangeAddress(), getSpendableUnspentTxOuts(), fee, lockTime);
+	sendRawTransaction(tx);
+	useChangeAddress(tx);
+
+	return tx;
+};
+
+/**
+ * Broadcast a transaction signed elsewhere (a multisig transaction) - We add it to the pool
+ * @param {object} tx
+ * @return {object}
  * */
-const sendTransaction = (address, amount) => {
-	const tx = createTransaction(address, amount, getPrivateFromWallet(), getUnspentTxOuts(), getTransactionPool());
-	addToTransactionPool(tx, getUnspentTxOuts());
-	broadCastTransactionPool();
+const sendRawTransaction = (tx) => {
+	addToTransactionPool(tx, getUnspentTxOuts(), getLatestBlock().index + 1);
+	broadcastTransactions([tx]);
 
 	return tx;
 };
 
-const calculateHashForBlock = (block) =>
-	calculateHash(block.index, block.previousHash, block.timestamp, block.data, block.difficulty, block.nonce);
+/**
+ * Consolidate the unspent txOuts of the wallet to a new change address - We add the created transaction to the pool
+ * @param {number} fee
+ * @param {number} maxInputs
+ * @return {object}
+ * */
+const consolidateUnspentTxOuts = (fee, maxInputs) => {
+	const tx = createConsolidationTransaction(getPrivateKeysFromWallet(), getNextChangeAddress(), getSpendableUnspentTxOuts(), getTransactionPool(), fee, maxInputs);
+	addToTransactionPool(tx, getUnspentTxOuts(), getLatestBlock().index + 1);
+	useChangeAddress(tx);
+	broadcastTransactions([tx]);
 
-const calculateHash = (index, previousHash, timestamp, data, difficulty, nonce) => CryptoJS.SHA256(index + previousHash + timestamp + data + difficulty + nonce).toString();
+	return tx;
+};
+
+/**
+ * The block hash is computed from the header only (the block without its transactions)
+ * @param {object} header - a block or a header
+ * @return {string}
+ * */
+const calculateHashForBlock = (header) =>
+	calculateHash(header.index, header.previousHash, header.timestamp, header.merkleRoot, header.difficulty, header.nonce);
+
+/**
+ * ## Mining
+ * Canonical serialization of the header before the nonce - the mining worker only appends the nonce to it
+ * The fields are separated so that two different headers can not give the same string
+ * */
+const getHashPrefix = (index, previousHash, timestamp, merkleRoot, difficulty) => [index, previousHash, timestamp, merkleRoot, difficulty].join(':') + ':';
+
+const calculateHash = (index, previousHash, timestamp, merkleRoot, difficulty, nonce) => CryptoJS.SHA256(getHashPrefix(index, previousHash, timestamp, merkleRoot, difficulty) + nonce).toString();
+
+/**
+ * @param {array} blockData - the transactions of the block
+ * @return {string}
+ * */
+const getBlockMerkleRoot = (blockData) => getMerkleRoot(blockData.map((tx) => tx.id));
 
 const isValidBlockStructure = (block) => {
 	return typeof block.index === 'number'
 		&& typeof block.hash === 'string'
 		&& typeof block.previousHash === 'string'
 		&& typeof block.timestamp === 'number'
-		&& typeof block.data === 'object';
+		&& typeof block.merkleRoot === 'string'
+		&& block.data instanceof Array
+		&& block.data.every((tx) => tx !== null && typeof tx === 'object' && typeof tx.id === 'string')
+		&& Number.isInteger(block.difficulty)
+		&& typeof block.nonce === 'number';
 };
 
 /**
  * Validating a block - when we receive new blocks from other nodes and must decide whether to accept them or not
+ * The difficulty of the block must be the one computed from the previous blocks (getExpectedDifficulty)
+ *
+ * @param {object} newBlock
+ * @param {object} previousBlock
+ * @param {number} difficulty - the expected difficulty of the new block
+ * @return {boolean}
  * */
-const isValidNewBlock = (newBlock, previousBlock) => {
+const isValidNewBlock = (newBlock, previousBlock, difficulty) => {
 	if (!isValidBlockStructure(newBlock)) {
 		console.log('invalid block structure: %s', JSON.stringify(newBlock));
 		return false;
@@ -211,6 +445,12 @@ const isValidNewBlock = (newBlock, previousBlock) => {
 	} else if (!isValidTimestamp(newBlock, previousBlock)) {
 		console.log('invalid timestamp');
 		return false;
+	} else if (newBlock.difficulty !== difficulty) {
+		console.log('invalid difficulty. Expected: ' + difficulty + ' got: ' + newBlock.difficulty);
+		return false;
+	} else if (newBlock.merkleRoot !== getBlockMerkleRoot(newBlock.data)) {
+		console.log('invalid merkle root, got: ' + newBlock.merkleRoot);
+		return false;
 	} else if (!hasValidHash(newBlock)) {
 		return false;
 	}
@@ -261,7 +501,8 @@ const hasValidHash = (block) => {
 	}
 
 	if (!hashMatchesDifficulty(block.hash, block.difficulty)) {
-		console.log('block difficulty not satisfied. Expected: ' + block.difficulty + 'got: ' + block.hash);
+		console.log('block difficulty not satisfied. Expected: ' + block.difficulty + ' got: ' + block.hash);
+		return false;
 	}
 
 	return true;
@@ -295,6 +536,140 @@ const hashMatchesDifficulty = (hash, difficulty) => {
 	return hashInBinary.startsWith(requiredPrefix);
 };
 
+/**
+ * ## Synchronization
+ * The header of a block - the block without its transactions
+ *
+ * @param {object} block
+ * @return {object}
+ * */
+const getBlockHeader = (block) => {
+	return _.omit(block, 'data');
+};
+
+/**
+ * ## Synchronization
+ * Validate a header received from a peer before downloading its block - the transactions are checked against the merkle root when the block is received
+ *
+ * @param {object} header
+ * @param {object} previousHeader
+ * @param {number} difficulty - the expected difficulty of the block
+ * @return {boolean}
+ * */
+const isValidBlockHeader = (header, previousHeader, difficulty) => {
+	if (typeof header.index !== 'number' || typeof header.hash !== 'string' || typeof header.previousHash !== 'string'
+		|| typeof header.timestamp !== 'number' || typeof header.merkleRoot !== 'string' || !Number.isInteger(header.difficulty)
+		|| typeof header.nonce !== 'number') {
+		console.log('invalid header structure: %s', JSON.stringify(header));
+		return false;
+	}
+
+	if (previousHeader.index + 1 !== header.index || previousHeader.hash !== header.previousHash) {
+		console.log('header does not follow the previous header: ' + header.hash);
+		return false;
+	}
+
+	if (!isValidTimestamp(header, previousHeader)) {
+		console.log('invalid timestamp in header: ' + header.hash);
+		return false;
+	}
+
+	if (header.difficulty !== difficulty) {
+		console.log('invalid difficulty in header. Expected: ' + difficulty + ' got: ' + header.difficulty);
+		return false;
+	}
+
+	if (!hashMatchesBlockContent(header)) {
+		console.log('invalid hash in header: ' + header.hash);
+		return false;
+	}
+
+	if (!hashMatchesDifficulty(header.hash, header.difficulty)) {
+		console.log('header difficulty not satisfied: ' + header.hash);
+		return false;
+	}
+
+	return true;
+};
+
+/**
+ * ## Synchronization
+ * Block locator - hashes of our chain from the latest block to the genesis block, dense near the tip then exponentially spaced
+ * A peer finds with it the latest block we have in common
+ *
+ * @return {array}
+ * */
+const getBlockLocator = () => {
+	const locator = [];
+	let step = 1;
+
+	for (let height = blockchain.length - 1; height > 0; height = height - step) {
+		locator.push(blockchain[height].hash);
+		if (locator.length >= 10) {
+			step = step * 2;
+		}
+	}
+
+	locator.push(genesisBlock.hash);
+	return locator;
+};
+
+/**
+ * ## Synchronization
+ * Headers of our chain after the first block of the locator we have
+ *
+ * @param {array} locator - block hashes
+ * @param {number} maxCount
+ * @return {array}
+ * */
+const getHeadersAfter = (locator, maxCount) => {
+	const hashes = blockchain.map((block) => block.hash);
+	const commonHash = locator.find((hash) => hashes.includes(hash));
+
+	if (commonHash === undefined) {
+		return [];
+	}
+
+	const height = hashes.indexOf(commonHash);
+	return blockchain.slice(height + 1, height + 1 + maxCount).map(getBlockHeader);
+};
+
+/**
+ * ## Synchronization
+ * @param {array} hashes
+ * @return {array} the blocks of our chain with these hashes
+ * */
+const getBlocksByHashes = (hashes) => {
+	return blockchain.filter((block) => hashes.includes(block.hash));
+};
+
+/**
+ * ## SPV
+ * Inclusion proof of a confirmed transaction - a light client checks it against the header of the block, without its transactions
+ * The transaction id hashed with each hash of the branch gives the merkle root of the header
+ *
+ * @param {string} txId
+ * @return {object} { txId, blockHash, header, txIndex, branch } - null if the transaction is not in our chain
+ * */
+const getTransactionProof = (txId) => {
+	for (const block of blockchain) {
+		const txIds = block.data.map((tx) => tx.id);
+		const txIndex = txIds.indexOf(txId);
+
+		if (txIndex !== -1) {
+			return {
+				'txId': txId,
+				'blockHash': block.hash,
+				'header': getBlockHeader(block),
+				'txIndex': txIndex,
+				'branch': getMerkleBranch(txIds, txIndex)
+			};
+		}
+	}
+
+	return null;
+};
+
 /**
  * Validating the full chain of blocks
  * Checks if the given blockchain is valid. Return the unspent txOuts if the chain is valid
@@ -316,11 +691,11 @@ const isValidChain = (blockchainToValidate) => {
 	for (let i = 0; i < blockchainToValidate.length; i++) {
 		const currentBlock = blockchainToValidate[i];
 
-		if (i !== 0 && !isValidNewBlock(blockchainToValidate[i], blockchainToValidate[i - 1])) {
+		if (i !== 0 && !isValidNewBlock(blockchainToValidate[i], blockchainToValidate[i - 1], getExpectedDifficulty(blockchainToValidate, i))) {
 			return null;
 		}
 
-		aUnspentTxOuts = processTransactions(currentBlock.data, aUnspentTxOuts, currentBlock.index);
+		aUnspentTxOuts = processTransactions(currentBlock.data, aUnspentTxOuts, currentBlock.index, currentBlock.timestamp);
 		if (aUnspentTxOuts === null) {
 			console.log('invalid transactions in blockchain');
 			return null;
@@ -331,16 +706,20 @@ const isValidChain = (blockchainToValidate) => {
 };
 
 const addBlockToChain = (newBlock) => {
-	if (isValidNewBlock(newBlock, getLatestBlock())) {
-		const retVal = processTransactions(newBlock.data, getUnspentTxOuts(), newBlock.index);
+	if (isValidNewBlock(newBlock, getLatestBlock(), getDifficulty(getBlockchain()))) {
+		const retVal = processTransactions(newBlock.data, getUnspentTxOuts(), newBlock.index, newBlock.timestamp);
 
 		if (retVal === null) {
 			console.log('block is not valid in terms of transactions');
 			return false;
 		} else {
+			const undo = getSpentTxOuts(newBlock.data, getUnspentTxOuts());
 			blockchain.push(newBlock);
 			setUnspentTxOuts(retVal);
-			updateTransactionPool(unspentTxOuts);
+			appendBlocks([newBlock], [undo]);
+			saveUnspentTxOuts(unspentTxOuts, newBlock.hash);
+			updateTransactionPool(unspentTxOuts, getLatestBlock().index + 1);
+			handleNewTip();
 			return true;
 		}
 	}
@@ -348,28 +727,130 @@ const addBlockToChain = (newBlock) => {
 	return false;
 };
 
+/**
+ * Roll back our blocks after a height with their undo data
+ * @param {number} height
+ * @return {array} the unspent txOuts at this height, null if the undo data of a block is missing
+ * */
+const rollbackToHeight = (height) => {
+	let aUnspentTxOuts = getUnspentTxOuts();
+
+	for (let h = blockchain.length - 1; h > height; h--) {
+		const undo = loadUndo(h);
+
+		if (undo === null) {
+			console.log('missing undo data of the block at height: ' + h);
+			return null;
+		}
+
+		aUnspentTxOuts = rollbackTransactions(blockchain[h].data, undo, aUnspentTxOuts);
+	}
+
+	return aUnspentTxOuts;
+};
+
+/**
+ * The transactions of the rolled back blocks that are not in the new branch return to the transaction pool
+ * The ones in conflict with the new branch (double spent) are dropped by the validation of the pool
+ *
+ * @param {array} disconnectedBlocks
+ * @param {array} connectedBlocks
+ * @return {void}
+ * */
+const restoreOrphanedTransactions = (disconnectedBlocks, connectedBlocks) => {
+	const connectedTxIds = _(connectedBlocks)
+		.map((block) => block.data)
+		.flatten()
+		.map((tx) => tx.id)
+		.value();
+
+	// all but coinbase transactions
+	const orphanedTxs = _(disconnectedBlocks)
+		.map((block) => block.data.slice(1))
+		.flatten()
+		.filter((tx) => !connectedTxIds.includes(tx.id))
+		.value();
+
+	const restoredTxs = [];
+
+	for (const tx of orphanedTxs) {
+		try {
+			addToTransactionPool(tx, getUnspentTxOuts(), getLatestBlock().index + 1);
+			restoredTxs.push(tx);
+		} catch (e) {
+			console.log('orphaned transaction not returned to the pool: ' + tx.id);
+		}
+	}
+
+	if (restoredTxs.length > 0) {
+		console.log('%d orphaned transactions returned to the pool', restoredTxs.length);
+		broadcastTransactions(restoredTxs);
+	}
+};
+
 /**
  * The correct chain will be the longest cumulate difficulty
  * In other words, the correct chain is the chain which required most resources (= hashRate * time) to produce
+ * Reorganization - our blocks after the fork point are rolled back with their undo data, then the blocks of the new branch are applied
  * */
 const replaceChain = (newBlocks) => {
-	const aUnspentTxOuts = isValidChain(newBlocks);
-	const validChain = aUnspentTxOuts !== null;
-
-	if (validChain &&
-		getAccumulatedDifficulty(newBlocks) > getAccumulatedDifficulty(getBlockchain())) {
-		console.log('Received blockchain is valid. Replacing current blockchain with received blockchain');
-		blockchain = newBlocks;
-		setUnspentTxOuts(aUnspentTxOuts);
-		updateTransactionPool(unspentTxOuts);
-		broadcastLatest();
+	if (newBlocks.length === 0 || JSON.stringify(newBlocks[0]) !== JSON.stringify(genesisBlock)) {
+		console.log('Received blockchain invalid: wrong genesis block');
+		return;
+	}
+
+	if (getAccumulatedDifficulty(newBlocks) <= getAccumulatedDifficulty(getBlockchain())) {
+		console.log('Received blockchain is not heavier than current blockchain');
+		return;
+	}
+
+	// the first block of the new branch
+	const forkHeight = _.findIndex(newBlocks, (block, i) => blockchain[i] === undefined || blockchain[i].hash !== block.hash);
+	let aUnspentTxOuts = rollbackToHeight(forkHeight - 1);
+
+	if (aUnspentTxOuts === null) {
+		console.log('Received blockchain invalid: could not roll back to height ' + (forkHeight - 1));
+		return;
+	}
+
+	const undos = [];
+
+	for (let i = forkHeight; i < newBlocks.length; i++) {
+		if (!isValidNewBlock(newBlocks[i], newBlocks[i - 1], getExpectedDifficulty(newBlocks, i))) {
+			console.log('Received blockchain invalid');
+			return;
+		}
+
+		undos.push(getSpentTxOuts(newBlocks[i].data, aUnspentTxOuts));
+		aUnspentTxOuts = processTransactions(newBlocks[i].data, aUnspentTxOuts, newBlocks[i].index, newBlocks[i].timestamp);
+
+		if (aUnspentTxOuts === null) {
+			console.log('Received blockchain invalid: invalid transactions in block ' + newBlocks[i].index);
+			return;
+		}
+	}
+
+	const disconnectedBlocks = blockchain.slice(forkHeight);
+	const connectedBlocks = newBlocks.slice(forkHeight);
+
+	if (disconnectedBlocks.length > 0) {
+		console.log('reorganization of depth %d: %d blocks rolled back and %d blocks applied from height %d', disconnectedBlocks.length, disconnectedBlocks.length, connectedBlocks.length, forkHeight);
 	} else {
-		console.log('Received blockchain invalid');
+		console.log('Received blockchain is valid. Appending %d blocks to current blockchain', connectedBlocks.length);
 	}
+
+	blockchain = newBlocks;
+	setUnspentTxOuts(aUnspentTxOuts);
+	replaceBlocks(forkHeight, connectedBlocks, undos);
+	saveUnspentTxOuts(unspentTxOuts, getLatestBlock().hash);
+	updateTransactionPool(unspentTxOuts, getLatestBlock().index + 1);
+	restoreOrphanedTransactions(disconnectedBlocks, connectedBlocks);
+	handleNewTip();
+	broadcastLatest();
 };
 
 const handleReceivedTransaction = (transaction) => {
-	addToTransactionPool(transaction, getUnspentTxOuts());
+	addToTransactionPool(transaction, getUnspentTxOuts(), getLatestBlock().index + 1);
 };
 
-export { Block, getBlockchain, getUnspentTxOuts, getLatestBlock, sendTransaction, generateRawNextBlock, generateNextBlock, generatenextBlockWithTransaction, handleReceivedTransaction, getMyUnspentTransactionOutputs, getAccountBalance, isValidBlockStructure, replaceChain, addBlockToChain };
+export { Block, consolidateUnspentTxOuts, getBlockTemplate, getHashPrefix, getNextBlockData, initBlockchain, getBlockchain, getUnspentTxOuts, getLatestBlock, getAccumulatedDifficulty, getDifficulty, getSpendableUnspentTxOuts, getSupply, getUsedAddresses, getBlockLocator, getHeadersAfter, getBlocksByHashes, getTransactionProof, isValidBlockHeader, isValidNewBlock, sendTransaction, sendRawTransaction, sendScriptTransaction, generateRawNextBlock, generateNextBlock, generatenextBlockWithTransaction, handleReceivedTransaction, getMyUnspentTransactionOutputs, getAccountBalance, isValidBlockStructure, replaceChain, addBlockToChain };
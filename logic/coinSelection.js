@@ -0,0 +1,116 @@
+import _ from 'lodash';
+
+/**
+ * Coin selection - which unspent txOuts of the wallet fund a transaction
+ * - branchAndBound: looks for a set of txOuts matching exactly the amount (no change txOut), falls back to largestFirst
+ * - largestFirst: the fewest inputs, keeps the wallet small
+ * - smallestFirst: spends the small txOuts first, consolidates the wallet but pays for more inputs
+ * - random: the txOuts are taken in a random order, the inputs do not reveal which txOuts the wallet holds together
+ * */
+const COIN_SELECTION_STRATEGIES = ['branchAndBound', 'largestFirst', 'smallestFirst', 'random'];
+const DEFAULT_COIN_SELECTION = 'branchAndBound';
+
+const MAX_BNB_TRIES = 100000; // branch and bound - maximum number of explored branches
+
+const sumAmounts = (unspentTxOuts) => unspentTxOuts.reduce((sum, uTxO) => sum + uTxO.amount, 0);
+
+/**
+ * Take the txOuts in the given order until the amount is covered
+ * @param {number} amount
+ * @param {array} orderedUnspentTxOuts
+ * @return {object} { includedUnspentTxOuts, leftOverAmount } - null if the txOuts do not cover the amount
+ * */
+const accumulate = (amount, orderedUnspentTxOuts) => {
+	let currentAmount = 0;
+	const includedUnspentTxOuts = [];
+
+	for (const unspentTxOut of orderedUnspentTxOuts) {
+		includedUnspentTxOuts.push(unspentTxOut);
+		currentAmount = currentAmount + unspentTxOut.amount;
+
+		if (currentAmount >= amount) {
+			const leftOverAmount = currentAmount - amount; // the value to send back to our address
+			return { includedUnspentTxOuts, leftOverAmount };
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Depth-first search of a subset of txOuts whose sum is exactly the amount
+ * The txOuts are explored from the largest, a branch is cut when it goes over the amount or can no longer reach it
+ *
+ * @param {number} amount
+ * @param {array} unspentTxOuts
+ * @return {object} { includedUnspentTxOuts, leftOverAmount: 0 } - null if there is no exact match
+ * */
+const branchAndBound = (amount, unspentTxOuts) => {
+	const sorted = _.orderBy(unspentTxOuts, ['amount'], ['desc']);
+
+	// remaining[i] - the sum of the txOuts from i, to know if a branch can still reach the amount
+	const remaining = [];
+	for (let i = sorted.length - 1; i >= 0; i--) {
+		remaining[i] = sorted[i].amount + (i + 1 < sorted.length ? remaining[i + 1] : 0);
+	}
+
+	// included[i] - the txOut i is in the current branch, for the txOuts before the current one
+	// the search is iterative: a wallet of thousands of txOuts would overflow the call stack
+	const included = [];
+	let currentAmount = 0;
+	let tries = 0;
+
+	while (amount > 0 && tries < MAX_BNB_TRIES) {
+		tries++;
+
+		if (currentAmount === amount) {
+			return { 'includedUnspentTxOuts': sorted.filter((uTxO, i) => included[i]), 'leftOverAmount': 0 };
+		}
+
+		const index = included.length;
+
+		if (index < sorted.length && currentAmount < amount && currentAmount + remaining[index] >= amount) {
+			// with the txOut first
+			included.push(true);
+			currentAmount = currentAmount + sorted[index].amount;
+			continue;
+		}
+
+		// backtrack to the last txOut of the branch, then explore without it
+		while (included.length > 0 && !included[included.length - 1]) {
+			included.pop();
+		}
+
+		if (included.length === 0) {
+			return null;
+		}
+
+		included[included.length - 1] = false;
+		currentAmount = currentAmount - sorted[included.length - 1].amount;
+	}
+
+	return null;
+};
+
+/**
+ * @param {number} amount - the amounts of the receivers + the fee
+ * @param {array} unspentTxOuts - the spendable txOuts of the wallet
+ * @param {string} strategy
+ * @return {object} { includedUnspentTxOuts, leftOverAmount } - null if the txOuts do not cover the amount
+ * */
+const selectCoins = (amount, unspentTxOuts, strategy = DEFAULT_COIN_SELECTION) => {
+	switch (strategy) {
+		case 'branchAndBound':
+			return branchAndBound(amount, unspentTxOuts) || accumulate(amount, _.orderBy(unspentTxOuts, ['amount'], ['desc']));
+		case 'largestFirst':
+			return accumulate(amount, _.orderBy(unspentTxOuts, ['amount'], ['desc']));
+		case 'smallestFirst':
+			return accumulate(amount, _.orderBy(unspentTxOuts, ['amount'], ['asc']));
+		case 'random':
+			return accumulate(amount, _.shuffle(unspentTxOuts));
+		default:
+			throw Error('unknown coin selection strategy: ' + strategy + '. Expected one of: ' + COIN_SELECTION_STRATEGIES.join(', '));
+	}
+};
+
+export { COIN_SELECTION_STRATEGIES, DEFAULT_COIN_SELECTION, selectCoins, sumAmounts };
@@ -0,0 +1,80 @@
+import { toBaseUnits } from './amount';
+
+/**
+ * Emission schedule - the subsidy of the coinbase transaction by block height, in base units
+ * The subsidy is divided by 2 (rounded down) every HALVING_INTERVAL blocks, down to MIN_BLOCK_SUBSIDY (0 by default: no new coin is created after about 33 halvings)
+ * The coins created by all the blocks never go over MAX_SUPPLY - the subsidy of the last blocks is cut to reach it exactly
+ * The env variables are in coins
+ * */
+const INITIAL_BLOCK_SUBSIDY = toBaseUnits(process.env.BLOCK_SUBSIDY || 50);
+const HALVING_INTERVAL = parseInt(process.env.HALVING_INTERVAL) || 210000; // in blocks
+const MIN_BLOCK_SUBSIDY = toBaseUnits(process.env.MIN_BLOCK_SUBSIDY || 0);
+const MAX_SUPPLY = toBaseUnits(process.env.MAX_SUPPLY || 21000000);
+
+const MAX_HALVINGS = 64;
+
+/**
+ * Subsidy of the schedule, without the supply cap
+ * @param {number} halvings
+ * @return {number}
+ * */
+const getHalvedSubsidy = (halvings) => {
+	const subsidy = halvings >= MAX_HALVINGS ? 0 : Math.floor(INITIAL_BLOCK_SUBSIDY / Math.pow(2, halvings));
+	return Math.max(subsidy, MIN_BLOCK_SUBSIDY);
+};
+
+/**
+ * The coins created by the blocks before a height, without the supply cap - one step by halving period
+ * @param {number} height
+ * @return {number}
+ * */
+const getScheduledIssuance = (height) => {
+	let issued = 0;
+
+	for (let halvings = 0; halvings * HALVING_INTERVAL < height; halvings++) {
+		const subsidy = getHalvedSubsidy(halvings);
+		const start = halvings * HALVING_INTERVAL;
+
+		// the subsidy does not change anymore - the blocks left are counted at once
+		if (subsidy === MIN_BLOCK_SUBSIDY) {
+			return issued + (height - start) * subsidy;
+		}
+
+		issued = issued + (Math.min(height, start + HALVING_INTERVAL) - start) * subsidy;
+	}
+
+	return issued;
+};
+
+/**
+ * The coins created by the blocks before a height (the genesis block is the height 0)
+ * @param {number} height
+ * @return {number}
+ * */
+const getIssuedSupply = (height) => Math.min(getScheduledIssuance(height), MAX_SUPPLY);
+
+/**
+ * Subsidy of the coinbase transaction of a block - the fees of the block are added to it
+ * @param {number} blockIndex
+ * @return {number}
+ * */
+const getBlockSubsidy = (blockIndex) => {
+	const subsidy = getHalvedSubsidy(Math.floor(blockIndex / HALVING_INTERVAL));
+	return Math.max(0, Math.min(subsidy, MAX_SUPPLY - getIssuedSupply(blockIndex)));
+};
+
+/**
+ * @param {number} blockIndex
+ * @return {number} the height of the next halving, null if the subsidy does not change anymore
+ * */
+const getNextHalving = (blockIndex) => {
+	const halvings = Math.floor(blockIndex / HALVING_INTERVAL);
+
+	if (getHalvedSubsidy(halvings) === MIN_BLOCK_SUBSIDY) {
+		return null;
+	}
+
+	return (halvings + 1) * HALVING_INTERVAL;
+};
+
+export { HALVING_INTERVAL, MAX_SUPPLY, getBlockSubsidy, getIssuedSupply, getNextHalving };
@@ -0,0 +1,133 @@
+import { createHmac } from 'crypto';
+import { ec } from 'elliptic';
+
+const EC = new ec('secp256k1');
+
+const HARDENED_OFFSET = 0x80000000;
+
+/**
+ * Hierarchical deterministic keys (BIP32)
+ * A node is { privateKey, publicKey, chainCode } - privateKey is null for a public node (it can only derive non-hardened children)
+ * The keys are in hexa, the public key is compressed
+ * */
+
+const hmacSHA512 = (key, data) => createHmac('sha512', key).update(data).digest();
+
+const serializeIndex = (index) => {
+	const buffer = Buffer.alloc(4);
+	buffer.writeUInt32BE(index, 0);
+	return buffer;
+};
+
+/**
+ * IL must be a valid private key (lower than the order of the curve and not 0) - else the child is invalid (probability lower than 1 in 2^127)
+ * @param {Buffer} il
+ * @return {object} the key pair of IL
+ * */
+const parseIL = (il) => {
+	const key = EC.keyFromPrivate(il);
+
+	if (key.getPrivate().isZero() || key.getPrivate().toString(16, 64) !== il.toString('hex')) {
+		throw Error('invalid child key, use the next index');
+	}
+
+	return key;
+};
+
+/**
+ * Master node from a seed
+ * @param {string} seed - in hexa
+ * @return {object}
+ * */
+const fromSeed = (seed) => {
+	const I = hmacSHA512('Bitcoin seed', Buffer.from(seed, 'hex'));
+	const key = parseIL(I.slice(0, 32));
+
+	return {
+		'privateKey': key.getPrivate().toString(16, 64),
+		'publicKey': key.getPublic(true, 'hex'),
+		'chainCode': I.slice(32).toString('hex')
+	};
+};
+
+/**
+ * Derive a child node - indexes from 2^31 are hardened and need the private key of the parent
+ * @param {object} node
+ * @param {number} index
+ * @return {object}
+ * */
+const deriveChild = (node, index) => {
+	const hardened = index >= HARDENED_OFFSET;
+	let data;
+
+	if (hardened) {
+		if (node.privateKey === null) {
+			throw Error('cannot derive a hardened child from a public key');
+		}
+		data = Buffer.concat([Buffer.alloc(1, 0), Buffer.from(node.privateKey, 'hex'), serializeIndex(index)]);
+	} else {
+		data = Buffer.concat([Buffer.from(node.publicKey, 'hex'), serializeIndex(index)]);
+	}
+
+	const I = hmacSHA512(Buffer.from(node.chainCode, 'hex'), data);
+	const il = parseIL(I.slice(0, 32));
+	const chainCode = I.slice(32).toString('hex');
+
+	// private derivation: k = IL + kpar (mod n)
+	if (node.privateKey !== null) {
+		const childKey = EC.keyFromPrivate(il.getPrivate().add(EC.keyFromPrivate(node.privateKey, 'hex').getPrivate()).umod(EC.curve.n));
+
+		return {
+			'privateKey': childKey.getPrivate().toString(16, 64),
+			'publicKey': childKey.getPublic(true, 'hex'),
+			'chainCode': chainCode
+		};
+	}
+
+	// public derivation: K = point(IL) + Kpar
+	const childPoint = il.getPublic().add(EC.keyFromPublic(node.publicKey, 'hex').getPublic());
+
+	if (childPoint.isInfinity()) {
+		throw Error('invalid child key, use the next index');
+	}
+
+	return {
+		'privateKey': null,
+		'publicKey': childPoint.encodeCompressed('hex'),
+		'chainCode': chainCode
+	};
+};
+
+/**
+ * Derive a node from a path like m/44'/0'/0'/0/1 - ' means hardened
+ * @param {object} node
+ * @param {string} path
+ * @return {object}
+ * */
+const derivePath = (node, path) => {
+	const segments = path.split('/');
+
+	if (segments[0] !== 'm') {
+		throw Error('invalid derivation path: ' + path);
+	}
+
+	return segments.slice(1).reduce((aNode, segment) => {
+		const hardened = segment.endsWith('\'');
+		const index = parseInt(hardened ? segment.slice(0, -1) : segment, 10);
+
+		if (isNaN(index) || index < 0 || index >= HARDENED_OFFSET) {
+			throw Error('invalid derivation path: ' + path);
+		}
+
+		return deriveChild(aNode, hardened ? index + HARDENED_OFFSET : index);
+	}, node);
+};
+
+/**
+ * Public node - can derive the non-hardened children, but not their private keys
+ * @param {object} node
+ * @return {object}
+ * */
+const toPublicNode = (node) => ({ 'privateKey': null, 'publicKey': node.publicKey, 'chainCode': node.chainCode });
+
+export { fromSeed, deriveChild, derivePath, toPublicNode };
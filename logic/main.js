@@ -1,13 +1,47 @@
 import * as  bodyParser from 'body-parser';
 import express from 'express';
 import _ from 'lodash';
-import { generateNextBlock, generatenextBlockWithTransaction, generateRawNextBlock, getAccountBalance, getBlockchain, getMyUnspentTransactionOutputs, getUnspentTxOuts, sendTransaction } from './blockchain';
-import { connectToPeers, getSockets, initP2PServer } from './p2p';
-import { getTransactionPool } from './transactionPool';
-import { getPublicFromWallet, initWallet } from './wallet';
+import { isValidAddress, multisigToAddress, scriptToAddress } from './address';
+import { fromBaseUnits, toBaseUnits } from './amount';
+import { consolidateUnspentTxOuts, generateNextBlock, generatenextBlockWithTransaction, initBlockchain, generateRawNextBlock, getAccountBalance, getBlockchain, getMyUnspentTransactionOutputs, getSpendableUnspentTxOuts, getSupply, getTransactionProof, getUnspentTxOuts, getUsedAddresses, sendRawTransaction, sendScriptTransaction, sendTransaction } from './blockchain';
+import { getMinerStatus, startMining, stopMining } from './miner';
+import { combineMultisigTransactions, createMultisigTransaction, signMultisigTransaction } from './multisig';
+import { connectToPeers, getPeers, initP2PServer } from './p2p';
+import { isValidScript } from './script';
+import { getTransactionPool, removeFromTransactionPool } from './transactionPool';
+import { changePassphrase, getMnemonic, getNewPublicKey, getNewReceivingAddress, getPrivateKeysFromWallet, getPublicFromWallet, getWalletAddresses, initWallet, isWalletLocked, lockWallet, restoreWallet, unlockWallet } from './wallet';
 
 const httpPort = parseInt(process.env.HTTP_PORT) || 3001;
 const p2pPort = parseInt(process.env.P2P_PORT) || 6001;
+const MAX_CONSOLIDATION_INPUTS = 100; // default number of unspent txOuts spent by a consolidation
+
+/**
+ * The receivers of a transaction request - a list of outputs, or a single address and amount
+ * The amounts are given in coins, they are converted to base units
+ * @param {object} body - { outputs: [{ address, amount, relativeLock, script }] } or { address, amount }
+ * @return {array}
+ * */
+const getRequestedOutputs = (body) => {
+	if (body.outputs === undefined && (body.address === undefined || body.amount === undefined)) {
+		throw Error('invalid address or amount');
+	}
+
+	const outputs = body.outputs !== undefined ? body.outputs : [{ 'address': body.address, 'amount': body.amount }];
+
+	if (!(outputs instanceof Array)) {
+		return outputs;
+	}
+
+	return outputs.map((output) => output !== null && typeof output === 'object' ? { ...output, 'amount': toBaseUnits(output.amount) } : output);
+};
+
+/**
+ * @param {object} body
+ * @return {number} the fee of a transaction request in base units - 0 if not given
+ * */
+const getRequestedFee = (body) => {
+	return body.fee === undefined ? 0 : toBaseUnits(body.fee);
+};
 
 const initHttpServer = (myHttpPort) => {
 	const app = express();
@@ -36,7 +70,22 @@ const initHttpServer = (myHttpPort) => {
 		res.send(tx);
 	});
 
+	// merkle branch of a confirmed transaction - verifiable against the header of its block
+	app.get('/transaction/:id/proof', (req, res) => {
+		const proof = getTransactionProof(req.params.id);
+
+		if (proof === null) {
+			res.status(404).send('transaction not found in the blockchain');
+			return;
+		}
+		res.send(proof);
+	});
+
 	app.get('/address/:address', (req, res) => {
+		if (!isValidAddress(req.params.address)) {
+			res.status(400).send('invalid address');
+			return;
+		}
 		const unspentTxOuts = _.filter(getUnspentTxOuts(), (uTxO) => uTxO.address === req.params.address);
 		res.send({'unspentTxOuts': unspentTxOuts});
 	});
@@ -46,50 +95,206 @@ const initHttpServer = (myHttpPort) => {
 	});
 
 	app.get('/myUnspentTransactionOutputs', (req, res) => {
-		res.send(getMyUnspentTransactionOutputs());
+		try {
+			res.send(getMyUnspentTransactionOutputs());
+		} catch (e) {
+			console.log(e.message);
+			res.status(400).send(e.message);
+		}
 	});
 
+	// the block is mined by the mining worker, the response is sent once it is found
+	const sendMinedBlock = (res) => (newBlock) => {
+		if (newBlock === null) {
+			res.status(400).send('could not generate block');
+		} else {
+			res.send(newBlock);
+		}
+	};
+
+	const sendMiningError = (res) => (e) => {
+		console.log(e.message);
+		res.status(400).send(e.message);
+	};
+
 	// mine - include a transaction in the blockchain with more than 2 outputs:
 	app.post('/mineRawBlock', (req, res) => {
 		if (req.body.data == null) {
 			res.send('data parameter is missing');
 			return;
 		}
-		const newBlock = generateRawNextBlock(req.body.data);
-		if (newBlock === null) {
-			res.status(400).send('could not generate block');
-		} else {
-			res.send(newBlock);
-		}
+		generateRawNextBlock(req.body.data)
+			.then(sendMinedBlock(res))
+			.catch(sendMiningError(res));
 	});
 
 	// mine - include a transaction in the blockchain:
 	app.post('/mineBlock', (req, res) => {
-		const newBlock = generateNextBlock();
-		if (newBlock === null) {
-			res.status(400).send('could not generate block');
-		} else {
-			res.send(newBlock);
-		}
+		generateNextBlock()
+			.then(sendMinedBlock(res))
+			.catch(sendMiningError(res));
+	});
+
+	// mine continuously in the mining worker - the job is rebuilt each time a new block is added to the chain
+	app.post('/miner/start', (req, res) => {
+		startMining();
+		res.send(getMinerStatus());
+	});
+
+	app.post('/miner/stop', (req, res) => {
+		stopMining();
+		res.send(getMinerStatus());
+	});
+
+	app.get('/miner/status', (req, res) => {
+		res.send(getMinerStatus());
 	});
 
 	app.get('/balance', (req, res) => {
-		const balance = getAccountBalance();
-		res.send({'balance': balance});
+		try {
+			const { balance, immature } = getAccountBalance();
+			res.send({ 'balance': fromBaseUnits(balance), 'immature': fromBaseUnits(immature) });
+		} catch (e) {
+			console.log(e.message);
+			res.status(400).send(e.message);
+		}
+	});
+
+	app.get('/supply', (req, res) => {
+		const supply = getSupply();
+		res.send({
+			...supply,
+			'circulatingSupply': fromBaseUnits(supply.circulatingSupply),
+			'issuedSupply': fromBaseUnits(supply.issuedSupply),
+			'maxSupply': fromBaseUnits(supply.maxSupply),
+			'blockSubsidy': fromBaseUnits(supply.blockSubsidy)
+		});
 	});
 
 	app.get('/address', (req, res) => {
-		const address = getPublicFromWallet();
-		res.send({'address': address});
+		try {
+			const address = getPublicFromWallet();
+			res.send({'address': address});
+		} catch (e) {
+			console.log(e.message);
+			res.status(400).send(e.message);
+		}
+	});
+
+	// a new receiving address of the HD wallet - give a new address for each payment
+	app.post('/address/new', (req, res) => {
+		try {
+			const address = getNewReceivingAddress();
+			res.send({'address': address});
+		} catch (e) {
+			console.log(e.message);
+			res.status(400).send(e.message);
+		}
+	});
+
+	// the public key of a new address of the wallet - to create a multisig with it
+	app.post('/publicKey/new', (req, res) => {
+		try {
+			res.send({'publicKey': getNewPublicKey()});
+		} catch (e) {
+			console.log(e.message);
+			res.status(400).send(e.message);
+		}
+	});
+
+	app.get('/wallet/addresses', (req, res) => {
+		try {
+			res.send({'addresses': getWalletAddresses()});
+		} catch (e) {
+			console.log(e.message);
+			res.status(400).send(e.message);
+		}
+	});
+
+	app.get('/wallet', (req, res) => {
+		res.send({'locked': isWalletLocked()});
+	});
+
+	// Decrypt the private key - the wallet is locked again after 'timeout' seconds
+	app.post('/wallet/unlock', (req, res) => {
+		try {
+			const passphrase = req.body.passphrase;
+			const timeout = req.body.timeout;
+
+			if (typeof passphrase !== 'string') {
+				throw Error('invalid passphrase');
+			}
+
+			if (timeout !== undefined && (typeof timeout !== 'number' || timeout < 0)) {
+				throw Error('invalid timeout');
+			}
+			unlockWallet(passphrase, timeout);
+			res.send({'locked': isWalletLocked()});
+		} catch (e) {
+			console.log(e.message);
+			res.status(400).send(e.message);
+		}
+	});
+
+	app.post('/wallet/lock', (req, res) => {
+		lockWallet();
+		res.send({'locked': isWalletLocked()});
+	});
+
+	app.post('/wallet/changePassphrase', (req, res) => {
+		try {
+			const passphrase = req.body.passphrase;
+			const newPassphrase = req.body.newPassphrase;
+
+			if (typeof passphrase !== 'string') {
+				throw Error('invalid passphrase');
+			}
+			changePassphrase(passphrase, newPassphrase);
+			res.send();
+		} catch (e) {
+			console.log(e.message);
+			res.status(400).send(e.message);
+		}
+	});
+
+	// The mnemonic is the backup of the wallet
+	app.post('/wallet/mnemonic', (req, res) => {
+		try {
+			const passphrase = req.body.passphrase;
+
+			if (typeof passphrase !== 'string') {
+				throw Error('invalid passphrase');
+			}
+			res.send({'mnemonic': getMnemonic(passphrase)});
+		} catch (e) {
+			console.log(e.message);
+			res.status(400).send(e.message);
+		}
+	});
+
+	app.post('/wallet/restore', (req, res) => {
+		try {
+			const mnemonic = req.body.mnemonic;
+			const passphrase = req.body.passphrase;
+
+			if (typeof mnemonic !== 'string' || typeof passphrase !== 'string' || passphrase.length === 0) {
+				throw Error('invalid mnemonic or passphrase');
+			}
+			restoreWallet(mnemonic, passphrase, getUsedAddresses());
+			res.send({'addresses': getWalletAddresses()});
+		} catch (e) {
+			console.log(e.message);
+			res.status(400).send(e.message);
+		}
 	});
 
 	// Using the wallet:
 	app.post('/mineTransaction', (req, res) => {
-		const address = req.body.address;
-		const amount = req.body.amount;
 		try {
-			const resp = generatenextBlockWithTransaction(address, amount);
-			res.send(resp);
+			const fee = getRequestedFee(req.body);
+			generatenextBlockWithTransaction(getRequestedOutputs(req.body), fee, req.body.coinSelection)
+				.then(sendMinedBlock(res))
+				.catch(sendMiningError(res));
 		} catch (e) {
 			console.log(e.message);
 			res.status(400).send(e.message);
@@ -99,14 +304,99 @@ const initHttpServer = (myHttpPort) => {
 	// Creates a transaction to our local transaction pool based on the existing wallet
 	app.post('/sendTransaction', (req, res) => {
 		try {
-			const address = req.body.address;
-			const amount = req.body.amount;
+			const outputs = getRequestedOutputs(req.body);
+			const fee = getRequestedFee(req.body);
+			const resp = sendTransaction(outputs, fee, req.body.coinSelection, req.body.lockTime, req.body.replaceable);
+			res.send(resp);
+		} catch (e) {
+			console.log(e.message);
+			res.status(400).send(e.message);
+		}
+	});
+
+	// Spends the small unspent transaction outputs of the wallet to one new address
+	app.post('/wallet/consolidate', (req, res) => {
+		try {
+			const fee = getRequestedFee(req.body);
+			const maxInputs = req.body.maxInputs || MAX_CONSOLIDATION_INPUTS;
 
-			if (address === undefined || amount === undefined) {
-				throw Error('invalid address or amount');
+			if (!Number.isInteger(maxInputs) || maxInputs < 2) {
+				throw Error('invalid maxInputs');
 			}
-			const resp = sendTransaction(address, amount);
-			res.send(resp);
+			res.send(consolidateUnspentTxOuts(fee, maxInputs));
+		} catch (e) {
+			console.log(e.message);
+			res.status(400).send(e.message);
+		}
+	});
+
+	// Multisig: the address of m-of-n public keys
+	app.post('/multisig/address', (req, res) => {
+		try {
+			const redeem = { 'm': req.body.m, 'publicKeys': req.body.publicKeys };
+			res.send({ 'address': multisigToAddress(redeem), 'redeem': redeem });
+		} catch (e) {
+			console.log(e.message);
+			res.status(400).send(e.message);
+		}
+	});
+
+	// Multisig: the unsigned transaction spending from a multisig address
+	app.post('/multisig/create', (req, res) => {
+		try {
+			const fee = getRequestedFee(req.body);
+			res.send(createMultisigTransaction(req.body.redeem, getRequestedOutputs(req.body), getSpendableUnspentTxOuts(), getTransactionPool(), fee, req.body.coinSelection));
+		} catch (e) {
+			console.log(e.message);
+			res.status(400).send(e.message);
+		}
+	});
+
+	// Multisig: add the signatures of the wallet
+	app.post('/multisig/sign', (req, res) => {
+		try {
+			res.send(signMultisigTransaction(req.body.transaction, getPrivateKeysFromWallet(), getUnspentTxOuts()));
+		} catch (e) {
+			console.log(e.message);
+			res.status(400).send(e.message);
+		}
+	});
+
+	// Multisig: merge the signatures of partially signed copies
+	app.post('/multisig/combine', (req, res) => {
+		try {
+			res.send(combineMultisigTransactions(req.body.transactions));
+		} catch (e) {
+			console.log(e.message);
+			res.status(400).send(e.message);
+		}
+	});
+
+	// Multisig: the transaction is added to the pool once it has enough signatures
+	app.post('/multisig/broadcast', (req, res) => {
+		try {
+			res.send(sendRawTransaction(req.body.transaction));
+		} catch (e) {
+			console.log(e.message);
+			res.status(400).send(e.message);
+		}
+	});
+
+	// Scripts: the address of a locking script - the outputs to it carry the script
+	app.post('/script/address', (req, res) => {
+		if (!isValidScript(req.body.script)) {
+			res.status(400).send('invalid script');
+			return;
+		}
+		res.send({ 'address': scriptToAddress(req.body.script), 'script': req.body.script });
+	});
+
+	// Scripts: spend a txOut locked by a script with an unlocking script
+	app.post('/script/spend', (req, res) => {
+		try {
+			const fee = getRequestedFee(req.body);
+			const scriptTxIn = { 'txOutId': req.body.txOutId, 'txOutIndex': req.body.txOutIndex, 'script': req.body.script, 'signWith': req.body.signWith };
+			res.send(sendScriptTransaction(scriptTxIn, getRequestedOutputs(req.body), fee, req.body.lockTime));
 		} catch (e) {
 			console.log(e.message);
 			res.status(400).send(e.message);
@@ -117,12 +407,27 @@ const initHttpServer = (myHttpPort) => {
 		res.send(getTransactionPool());
 	});
 
+	// remove a transaction from our pool - its txOuts can be spent again by the wallet
+	app.delete('/transactionPool/:id', (req, res) => {
+		try {
+			res.send(removeFromTransactionPool(req.params.id));
+		} catch (e) {
+			console.log(e.message);
+			res.status(404).send(e.message);
+		}
+	});
+
 	app.get('/peers', (req, res) => {
-		res.send(getSockets().map((s) => `${s._socket.remoteAddress}: ${s._socket.remotePort}`));
+		res.send(getPeers());
 	});
 	app.post('/addPeer', (req, res) => {
-		connectToPeers(req.body.peer);
-		res.send();
+		try {
+			connectToPeers(req.body.peer);
+			res.send();
+		} catch (e) {
+			console.log(e.message);
+			res.status(400).send(e.message);
+		}
 	});
 
 	app.post('/stop', (req, res) => {
@@ -135,6 +440,7 @@ const initHttpServer = (myHttpPort) => {
 	});
 };
 
+initBlockchain();
 initHttpServer(httpPort);
 initP2PServer(p2pPort);
 initWallet();
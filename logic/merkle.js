@@ -0,0 +1,91 @@
+import * as CryptoJS from 'crypto-js';
+
+/**
+ * Merkle tree of the transaction ids of a block
+ * The root is in the header of the block, so the hash of the block commits to all its transactions
+ * A node without a pair at a level is moved up as is (it is not hashed with itself)
+ * */
+
+const EMPTY_MERKLE_ROOT = '0'.repeat(64);
+
+/**
+ * Hash of two nodes of the tree
+ * @param {string} left - in hexa
+ * @param {string} right - in hexa
+ * @return {string}
+ * */
+const hashPair = (left, right) => CryptoJS.SHA256(CryptoJS.enc.Hex.parse(left + right)).toString();
+
+/**
+ * The next level of the tree
+ * @param {array} level - hashes
+ * @return {array}
+ * */
+const getNextLevel = (level) => {
+	const nextLevel = [];
+
+	for (let i = 0; i < level.length; i = i + 2) {
+		nextLevel.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+	}
+
+	return nextLevel;
+};
+
+/**
+ * @param {array} txIds
+ * @return {string}
+ * */
+const getMerkleRoot = (txIds) => {
+	if (txIds.length === 0) {
+		return EMPTY_MERKLE_ROOT;
+	}
+
+	let level = txIds;
+	while (level.length > 1) {
+		level = getNextLevel(level);
+	}
+
+	return level[0];
+};
+
+/**
+ * Merkle branch of a transaction - the hashes needed to compute the root from the transaction id
+ * @param {array} txIds - the transaction ids of the block
+ * @param {number} index - the position of the transaction in the block
+ * @return {array} [{ position: 'left' | 'right', hash }], from the bottom of the tree
+ * */
+const getMerkleBranch = (txIds, index) => {
+	const branch = [];
+	let level = txIds;
+	let position = index;
+
+	while (level.length > 1) {
+		const siblingPosition = position % 2 === 0 ? position + 1 : position - 1;
+
+		if (siblingPosition < level.length) {
+			branch.push({ 'position': siblingPosition < position ? 'left' : 'right', 'hash': level[siblingPosition] });
+		}
+
+		level = getNextLevel(level);
+		position = Math.floor(position / 2);
+	}
+
+	return branch;
+};
+
+/**
+ * Check that a transaction is in a block - a light client only needs the header of the block
+ * @param {string} txId
+ * @param {array} branch
+ * @param {string} merkleRoot
+ * @return {boolean}
+ * */
+const verifyMerkleBranch = (txId, branch, merkleRoot) => {
+	const root = branch.reduce((hash, node) => {
+		return node.position === 'left' ? hashPair(node.hash, hash) : hashPair(hash, node.hash);
+	}, txId);
+
+	return root === merkleRoot;
+};
+
+export { getMerkleRoot, getMerkleBranch, verifyMerkleBranch };
@@ -0,0 +1,189 @@
+import { fork } from 'child_process';
+import path from 'path';
+import { addBlockToChain, Block, getBlockTemplate, getHashPrefix, getLatestBlock, getNextBlockData } from './blockchain';
+import { broadcastLatest } from './p2p';
+
+let worker = null;
+
+/**
+ * The job of the worker: { id, template, getBlockData, resolve }
+ * - getBlockData: gives the data of the block, called again when the job is rebuilt on a new latest block
+ * - resolve: for a single block (/mineBlock), null when mining continuously (/miner/start)
+ * */
+let currentJob = null;
+let jobCounter = 0;
+let mining = false; // continuous mining
+let progress = { 'nonce': 0, 'hashrate': 0 };
+
+/**
+ * Start the worker process - the worker is written in ES modules, so it is loaded with babel
+ * @return {object}
+ * */
+const getWorker = () => {
+	if (worker !== null) {
+		return worker;
+	}
+
+	worker = fork(path.join(__dirname, 'minerWorker.js'), [], { 'execArgv': ['-r', 'babel-register'] });
+
+	worker.on('message', (message) => {
+		if (currentJob === null || message.jobId !== currentJob.id) {
+			return; // result of an abandoned job
+		}
+
+		switch (message.type) {
+			case 'progress':
+				progress = { 'nonce': message.nonce, 'hashrate': message.hashrate };
+				break;
+			case 'found':
+				handleFoundNonce(message.nonce, message.hash);
+				break;
+		}
+	});
+
+	worker.on('exit', (code) => {
+		console.log('mining worker exited with code: ' + code);
+		worker = null;
+
+		if (currentJob !== null && currentJob.resolve !== null) {
+			currentJob.resolve(null);
+		}
+		currentJob = null;
+		mining = false;
+	});
+
+	return worker;
+};
+
+/**
+ * Send a new job to the worker - it abandons the previous one
+ * @param {function} getBlockData
+ * @param {function} resolve
+ * @return {void}
+ * */
+const startJob = (getBlockData, resolve) => {
+	const template = getBlockTemplate(getBlockData());
+	jobCounter++;
+
+	currentJob = { 'id': jobCounter, 'template': template, 'getBlockData': getBlockData, 'resolve': resolve };
+	progress = { 'nonce': 0, 'hashrate': progress.hashrate };
+
+	const prefix = getHashPrefix(template.index, template.previousHash, template.timestamp, template.merkleRoot, template.difficulty);
+	getWorker().send({ 'type': 'job', 'job': { 'id': currentJob.id, 'prefix': prefix, 'difficulty': template.difficulty } });
+};
+
+/**
+ * After a job - the continuous mining goes on with a new block, else the worker stays idle
+ * */
+const startNextJob = () => {
+	if (mining) {
+		try {
+			startJob(getNextBlockData, null);
+		} catch (e) {
+			console.log('could not start mining: ' + e.message);
+			currentJob = null;
+			mining = false;
+		}
+	} else if (worker !== null) {
+		worker.send({ 'type': 'stop' });
+	}
+};
+
+const handleFoundNonce = (nonce, hash) => {
+	const { template, resolve } = currentJob;
+	const newBlock = new Block(template.index, hash, template.previousHash, template.timestamp, template.merkleRoot, template.data, template.difficulty, nonce);
+	currentJob = null;
+
+	// the next job is started by handleNewTip when the block is added
+	if (addBlockToChain(newBlock)) {
+		console.log('mined block: ' + newBlock.hash);
+		broadcastLatest();
+	} else {
+		console.log('mined block is not valid: ' + newBlock.hash);
+		startNextJob();
+	}
+
+	if (resolve !== null) {
+		resolve(getLatestBlock().hash === newBlock.hash ? newBlock : null);
+	}
+};
+
+/**
+ * Mine one block - replaces the current job, the continuous mining resumes after
+ * @param {function} getBlockData
+ * @return {Promise} the new block, null if it could not be added to the chain
+ * */
+const mineBlock = (getBlockData) => {
+	return new Promise((resolve) => {
+		if (currentJob !== null && currentJob.resolve !== null) {
+			currentJob.resolve(null);
+		}
+
+		startJob(getBlockData, resolve);
+	});
+};
+
+/**
+ * A new latest block was added (mined by us or received from a peer) - the current job is rebuilt on top of it
+ * */
+const handleNewTip = () => {
+	if (currentJob === null) {
+		startNextJob();
+	} else if (currentJob.template.previousHash !== getLatestBlock().hash) {
+		console.log('new latest block, restarting the mining job');
+		const { getBlockData, resolve } = currentJob;
+
+		try {
+			startJob(getBlockData, resolve);
+		} catch (e) {
+			console.log('could not restart the mining job: ' + e.message);
+			currentJob = null;
+			if (resolve !== null) {
+				resolve(null);
+			}
+			startNextJob();
+		}
+	}
+};
+
+const startMining = () => {
+	if (mining) {
+		return;
+	}
+
+	mining = true;
+	if (currentJob === null) {
+		startNextJob();
+	}
+};
+
+const stopMining = () => {
+	mining = false;
+
+	if (currentJob !== null && currentJob.resolve === null) {
+		currentJob = null;
+		startNextJob();
+	}
+};
+
+/**
+ * @return {object}
+ * */
+const getMinerStatus = () => {
+	const template = currentJob === null ? null : {
+		'index': currentJob.template.index,
+		'previousHash': currentJob.template.previousHash,
+		'timestamp': currentJob.template.timestamp,
+		'difficulty': currentJob.template.difficulty,
+		'transactions': currentJob.template.data.length
+	};
+
+	return {
+		'mining': mining,
+		'template': template,
+		'nonce': currentJob === null ? null : progress.nonce,
+		'hashrate': currentJob === null ? 0 : progress.hashrate
+	};
+};
+
+export { mineBlock, handleNewTip, startMining, stopMining, getMinerStatus };
@@ -0,0 +1,74 @@
+import * as CryptoJS from 'crypto-js';
+import { hexToBinary } from './util';
+
+/**
+ * Mining worker - runs in a child process, so the node keeps answering HTTP and websocket messages while mining
+ * It receives a job { id, prefix, difficulty } and searches the nonce for which SHA256(prefix + nonce) satisfies the difficulty
+ * */
+
+const BATCH_SIZE = 2000; // nonces tried before handling the messages of the node
+const PROGRESS_INTERVAL = 1000; // in ms - how often the nonce and the hashrate are reported
+
+let job = null;
+let running = false;
+let lastReport = { 'time': 0, 'nonce': 0 };
+
+const reportProgress = (force) => {
+	const now = Date.now();
+
+	if (!force && now - lastReport.time < PROGRESS_INTERVAL) {
+		return;
+	}
+
+	const elapsed = (now - lastReport.time) / 1000;
+	const hashrate = elapsed > 0 ? Math.round((job.nonce - lastReport.nonce) / elapsed) : 0;
+
+	process.send({ 'type': 'progress', 'jobId': job.id, 'nonce': job.nonce, 'hashrate': hashrate });
+	lastReport = { 'time': now, 'nonce': job.nonce };
+};
+
+const mine = () => {
+	if (job === null) {
+		running = false;
+		return;
+	}
+
+	const requiredPrefix = '0'.repeat(job.difficulty);
+
+	for (let i = 0; i < BATCH_SIZE; i++) {
+		const hash = CryptoJS.SHA256(job.prefix + job.nonce).toString();
+
+		if (hexToBinary(hash).startsWith(requiredPrefix)) {
+			process.send({ 'type': 'found', 'jobId': job.id, 'nonce': job.nonce, 'hash': hash });
+			job = null;
+			running = false;
+			return;
+		}
+
+		job.nonce++;
+	}
+
+	reportProgress(false);
+
+	// let the messages of the node (new job, stop) be handled
+	setImmediate(mine);
+};
+
+process.on('message', (message) => {
+	switch (message.type) {
+		case 'job':
+			job = { ...message.job, 'nonce': 0 };
+			lastReport = { 'time': Date.now(), 'nonce': 0 };
+			if (!running) {
+				running = true;
+				setImmediate(mine);
+			}
+			break;
+		case 'stop':
+			job = null;
+			break;
+	}
+});
+
+// the node is gone
+process.on('disconnect', () => process.exit(0));
@@ -0,0 +1,138 @@
+import { ec } from 'elliptic';
+import _ from 'lodash';
+import { multisigToAddress } from './address';
+import { DEFAULT_COIN_SELECTION } from './coinSelection';
+import { getTransactionId, signTxIn, Transaction, TxIn } from './transaction';
+import { createTxOuts, filterTxPoolTxs, findTxOutsForAmount, getRequiredAmount, validateOutputs } from './wallet';
+
+const EC = new ec('secp256k1');
+
+/**
+ * Partially signed transactions of a multisig (m-of-n) address
+ * 1. create: the unsigned transaction spending the txOuts of the multisig address - each txIn has the redeem and an empty list of signatures
+ * 2. sign: each owner of a key adds its signature, on its own node
+ * 3. combine: the signatures of the partially signed copies are merged
+ * 4. broadcast: the transaction is valid once m keys signed each txIn
+ * The signatures are not part of the transaction id, so adding a signature does not change the transaction
+ * */
+
+/**
+ * Check that a partially signed transaction was not modified - the id must be the hash of its content
+ * @param {object} transaction
+ * @return {void}
+ * */
+const checkPartialTransaction = (transaction) => {
+	if (transaction === null || typeof transaction !== 'object' || !(transaction.txIns instanceof Array) || !(transaction.txOuts instanceof Array)) {
+		throw Error('invalid partially signed transaction');
+	}
+
+	if (getTransactionId(transaction) !== transaction.id) {
+		throw Error('the id of the partially signed transaction does not match its content: ' + transaction.id);
+	}
+
+	transaction.txIns.forEach((txIn, index) => {
+		if (!(txIn.signatures instanceof Array)) {
+			throw Error('txIn ' + index + ' is not a multisig txIn');
+		}
+	});
+};
+
+/**
+ * Create the unsigned transaction - the change goes back to the multisig address
+ * @param {object} redeem - { m, publicKeys }
+ * @param {array} outputs - the receivers [{ address, amount, relativeLock }]
+ * @param {array} unspentTxOuts
+ * @param {array} txPool
+ * @param {number} fee
+ * @param {string} strategy - coin selection strategy
+ * @return {object}
+ * */
+const createMultisigTransaction = (redeem, outputs, unspentTxOuts, txPool, fee = 0, strategy = DEFAULT_COIN_SELECTION) => {
+	const address = multisigToAddress(redeem);
+	validateOutputs(outputs);
+
+	const amount = getRequiredAmount(outputs, fee);
+	const multisigUnspentTxOuts = unspentTxOuts.filter((uTxO) => uTxO.address === address);
+	const { includedUnspentTxOuts, leftOverAmount } = findTxOutsForAmount(amount, multisigUnspentTxOuts, filterTxPoolTxs(multisigUnspentTxOuts, txPool), strategy);
+
+	const tx = new Transaction();
+	tx.txIns = includedUnspentTxOuts.map((unspentTxOut) => {
+		const txIn = new TxIn();
+		txIn.txOutId = unspentTxOut.txOutId;
+		txIn.txOutIndex = unspentTxOut.txOutIndex;
+		txIn.redeem = { 'm': redeem.m, 'publicKeys': redeem.publicKeys };
+		txIn.signatures = [];
+		return txIn;
+	});
+	tx.txOuts = createTxOuts(outputs, address, leftOverAmount);
+	tx.id = getTransactionId(tx);
+
+	return tx;
+};
+
+/**
+ * Add the signatures of our keys to a partially signed transaction
+ * @param {object} transaction
+ * @param {array} privateKeys - the keys of the wallet
+ * @param {array} unspentTxOuts
+ * @return {object} the transaction with our signatures
+ * */
+const signMultisigTransaction = (transaction, privateKeys, unspentTxOuts) => {
+	checkPartialTransaction(transaction);
+
+	const tx = _.cloneDeep(transaction);
+	const privateKeysByPublicKey = _.keyBy(privateKeys, (privateKey) => EC.keyFromPrivate(privateKey, 'hex').getPublic(true, 'hex'));
+	let added = 0;
+
+	tx.txIns.forEach((txIn, index) => {
+		const publicKeys = txIn.redeem !== null && typeof txIn.redeem === 'object' && txIn.redeem.publicKeys instanceof Array ? txIn.redeem.publicKeys : [];
+
+		for (const publicKey of publicKeys) {
+			const privateKey = privateKeysByPublicKey[publicKey];
+
+			if (privateKey !== undefined) {
+				const signature = signTxIn(tx, index, privateKey, unspentTxOuts);
+				if (!txIn.signatures.includes(signature)) {
+					txIn.signatures.push(signature);
+					added++;
+				}
+			}
+		}
+	});
+
+	if (added === 0) {
+		throw Error('no key of the wallet can sign this transaction');
+	}
+
+	return tx;
+};
+
+/**
+ * Merge the signatures of partially signed copies of the same transaction
+ * @param {array} transactions
+ * @return {object}
+ * */
+const combineMultisigTransactions = (transactions) => {
+	if (!(transactions instanceof Array) || transactions.length === 0) {
+		throw Error('no transaction to combine');
+	}
+
+	transactions.forEach(checkPartialTransaction);
+
+	if (_.uniq(transactions.map((tx) => tx.id)).length !== 1) {
+		throw Error('the partially signed transactions are not copies of the same transaction');
+	}
+
+	const tx = _.cloneDeep(transactions[0]);
+	tx.txIns.forEach((txIn, index) => {
+		txIn.signatures = _(transactions)
+			.map((aTransaction) => aTransaction.txIns[index].signatures)
+			.flatten()
+			.uniq()
+			.value();
+	});
+
+	return tx;
+};
+
+export { createMultisigTransaction, signMultisigTransaction, combineMultisigTransactions };
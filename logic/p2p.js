@@ -1,18 +1,95 @@
+import { randomBytes } from 'crypto';
+import _ from 'lodash';
 import WebSocket from 'ws';
 import { Server } from 'ws';
-import { addBlockToChain, getBlockchain, getLatestBlock, handleReceivedTransaction, isValidBlockStructure, replaceChain } from './blockchain';
+import packageJson from '../package.json';
+import { addAddress, getAddressesToConnect, getKnownAddresses, initAddressBook, isValidPeerUrl, markConnected, markFailed, removeAddress, saveAddressBook, toPeerUrl } from './addressBook';
+import { addBlockToChain, getAccumulatedDifficulty, getBlockchain, getDifficulty, getBlockLocator, getBlocksByHashes, getHeadersAfter, getLatestBlock, handleReceivedTransaction, isValidBlockHeader, isValidBlockStructure, isValidNewBlock, replaceChain } from './blockchain';
 import { getTransactionPool } from './transactionPool';
 
+/**
+ * The peers which completed the handshake
+ * */
 const sockets = [];
 
+/**
+ * Handshake - each side sends its VERSION when the connection opens and answers the VERSION of the other with a VERACK
+ * The peer is added to the sockets once its VERSION is accepted and its VERACK received - an incompatible peer is disconnected
+ * socket => { inbound, version, verack, timer } during the handshake
+ * socket => { inbound, url, version, networkId, genesisHash, height, userAgent, port, nonce } once completed - url: the address the peer listens on
+ * */
+const handshakes = new Map();
+const peerVersions = new Map();
+
+/**
+ * The connections we opened, to keep MAX_OUTBOUND of them - url => socket, from the connection attempt until it is closed
+ * */
+const outboundConnections = new Map();
+
+/**
+ * Inventory gossip - the new transactions and blocks are announced by their hash (INV), a peer asks the ones it does not have (GETDATA)
+ * The known inventory of a peer holds the hashes it announced or we sent it, they are not announced to it again
+ * socket => Set of hashes, the oldest are dropped after MAX_KNOWN_INVENTORY
+ * */
+const knownInventories = new Map();
+
+const MAX_HEADERS = 500; // synchronization - maximum number of headers in a RESPONSE_HEADERS
+const MAX_BLOCKS = 50; // synchronization - number of blocks requested in a QUERY_BLOCKS
+const MAX_SYNC_HEADERS = 100000; // synchronization - headers held by a sync, the peer sending more is disconnected
+const MAX_FORK_BLOCKS = 10000; // synchronization - blocks of a fork held until they replace our chain, a deeper fork is refused
+const SYNC_TIMEOUT = 30000; // in ms - synchronization - the sync is abandoned if the peer does not answer in time
+const MAX_INVENTORY = 1000; // maximum number of items in an INV or a GETDATA
+const MAX_KNOWN_INVENTORY = 10000; // by peer
+const HANDSHAKE_TIMEOUT = 10000; // in ms - the peer is disconnected if the handshake is not completed in time
+
+const PROTOCOL_VERSION = 2; // 2: handshake, inventory gossip
+const MIN_PROTOCOL_VERSION = 2; // the peers of a lower version are disconnected
+const NETWORK_ID = process.env.NETWORK_ID || 'pmc-main'; // the nodes of another network are disconnected
+const USER_AGENT = '/' + packageJson.name + ':' + packageJson.version + '/';
+const NONCE = randomBytes(8).toString('hex'); // sent in our VERSION - a VERSION with our nonce is a connection to ourselves
+
+// Peer discovery - the address book is filled by the seed peers, the peers added by hand and the ADDR of the peers
+const SEED_PEERS = (process.env.PEERS || '').split(',').filter((url) => url !== ''); // ws://host:port,ws://host:port
+const MAX_OUTBOUND = parseInt(process.env.MAX_OUTBOUND_PEERS) || 8; // the node connects to the address book until it has this number of connections
+const MAX_INBOUND = parseInt(process.env.MAX_INBOUND_PEERS) || 32; // the connections above it are refused
+const MAX_ADDR = 1000; // maximum number of addresses in an ADDR
+const CONNECT_INTERVAL = 5000; // in ms - the outbound connections are checked at this interval
+
+let listeningPort = null;
+
+// 1 (QUERY_ALL) and 4 (RESPONSE_TRANSACTION_POOL) were messages of the protocol version 1 - the chain is synchronized with QUERY_HEADERS and QUERY_BLOCKS, the transactions are sent with TX
 const MessageType = {
 	QUERY_LATEST: 0,
-	QUERY_ALL: 1,
 	RESPONSE_BLOCKCHAIN: 2,
-	QUERY_TRANSACTION_POOL: 3, // The unconfirmed transactions broadcast the network and eventually some node will mine the transaction to the blockchain
-	RESPONSE_TRANSACTION_POOL: 4
+	QUERY_TRANSACTION_POOL: 3, // The unconfirmed transactions broadcast the network and eventually some node will mine the transaction to the blockchain - answered by an INV of the pool
+	QUERY_HEADERS: 5, // headers after the latest block of a locator we have in common with the peer
+	RESPONSE_HEADERS: 6,
+	QUERY_BLOCKS: 7, // blocks by hashes
+	RESPONSE_BLOCKS: 8,
+	INV: 9, // hashes of transactions and blocks [{ type, hash }]
+	GETDATA: 10, // the announced transactions and blocks we do not have [{ type, hash }]
+	TX: 11, // a transaction asked by GETDATA
+	BLOCK: 12, // a block asked by GETDATA
+	VERSION: 13, // handshake { version, networkId, genesisHash, height, userAgent, port, nonce }
+	VERACK: 14, // handshake - the VERSION of the peer is accepted
+	GETADDR: 15, // peer discovery - ask the addresses the peer knows
+	ADDR: 16 // peer discovery - urls of nodes
+};
+
+const InventoryType = {
+	TRANSACTION: 'tx',
+	BLOCK: 'block'
 };
 
+/**
+ * Headers-first synchronization with one peer at a time
+ * { ws, ancestorHeight, headers, downloaded, forkBlocks, timer }
+ * - headers: the headers of the peer after our common ancestor
+ * - downloaded: number of blocks of these headers received
+ * - forkBlocks: the received blocks that do not extend our chain (fork), they replace our chain once all received
+ * */
+let syncState = null;
+
 class Message {
 	// public type;
 	// public data;
@@ -20,27 +97,195 @@ class Message {
 
 const initP2PServer = (p2pPort) => {
 	const server = new WebSocket.Server({ port: p2pPort });
+	listeningPort = p2pPort;
 	server.on('connection', (ws) => {
-		initConnection(ws);
+		if (getInboundCount() >= MAX_INBOUND) {
+			console.log('inbound connection refused, %d inbound peers already', MAX_INBOUND);
+			ws.close();
+			return;
+		}
+		initConnection(ws, true);
 	});
 
 	console.log('listening websocket p2p port on: ' + p2pPort);
+
+	initAddressBook(SEED_PEERS);
+	maintainConnections();
+	setInterval(maintainConnections, CONNECT_INTERVAL);
+};
+
+const getInboundCount = () => {
+	return _.filter([...handshakes.values(), ...peerVersions.values()], (peer) => peer.inbound).length;
+};
+
+/**
+ * ## Peer discovery
+ * Open connections to the address book until we have MAX_OUTBOUND of them - a node which failed waits for its next attempt (exponential backoff)
+ * */
+const maintainConnections = () => {
+	saveAddressBook();
+
+	const missing = MAX_OUTBOUND - outboundConnections.size;
+
+	if (missing <= 0) {
+		return;
+	}
+
+	const connectedUrls = [...outboundConnections.keys(), ...Array.from(peerVersions.values()).map((peer) => peer.url)];
+	getAddressesToConnect(missing, connectedUrls).forEach(connectTo);
 };
 
 const getSockets = () => sockets;
 
-const initConnection = (ws) => {
-	sockets.push(ws);
+/**
+ * The connected peers and the metadata of their VERSION
+ * @return {array}
+ * */
+const getPeers = () => sockets.map((ws) => ({
+	'address': ws._socket.remoteAddress + ':' + ws._socket.remotePort,
+	...peerVersions.get(ws)
+}));
+
+/**
+ * A new connection starts with the handshake
+ * @param {object} ws
+ * @param {boolean} inbound - the peer connected to our server
+ * */
+const initConnection = (ws, inbound = false) => {
+	handshakes.set(ws, { 'inbound': inbound, 'version': null, 'verack': false, 'timer': setTimeout(() => disconnect(ws, 'handshake timeout'), HANDSHAKE_TIMEOUT) });
 	initMessageHandler(ws);
 	initErrorHandler(ws);
+	write(ws, versionMsg());
+};
+
+/**
+ * The handshake is completed - the chains and the transaction pools are exchanged
+ * */
+const completeHandshake = (ws) => {
+	const { inbound, version, timer } = handshakes.get(ws);
+	clearTimeout(timer);
+	handshakes.delete(ws);
+
+	// an inbound peer is added to the address book with the port it listens on
+	const url = inbound
+		? (version.port === null ? null : toPeerUrl(ws._socket.remoteAddress, version.port))
+		: ws.url;
+
+	console.log('handshake completed with peer %s (%s, height %d)', ws._socket.remoteAddress, version.userAgent, version.height);
+	peerVersions.set(ws, { 'inbound': inbound, 'url': url, ...version });
+	sockets.push(ws);
+	knownInventories.set(ws, new Set());
+
+	if (inbound) {
+		if (url !== null) {
+			addAddress(url);
+		}
+	} else {
+		markConnected(url);
+		write(ws, getAddrMsg());
+	}
+
 	write(ws, queryChainLengthMsg());
 
-	// query transactions pool only some time after chain query
+	// query transactions pool only some time after chain query - the peer may have been disconnected meanwhile
 	setTimeout(() => {
-		broadcast(queryTransactionPoolMsg());
+		if (ws.readyState === WebSocket.OPEN) {
+			write(ws, queryTransactionPoolMsg());
+		}
 	}, 500);
 };
 
+const disconnect = (ws, reason) => {
+	console.log('disconnecting peer %s: %s', ws._socket ? ws._socket.remoteAddress : ws.url, reason);
+	ws.close();
+};
+
+/**
+ * @param {object} version - the VERSION of a peer
+ * @return {string} why the peer can not be connected, null if it is compatible
+ * */
+const getIncompatibility = (version) => {
+	if (version === null || typeof version !== 'object' || !Number.isInteger(version.version) || !Number.isInteger(version.height)
+		|| typeof version.userAgent !== 'string' || !(version.port === null || Number.isInteger(version.port)) || typeof version.nonce !== 'string') {
+		return 'invalid version message';
+	}
+
+	if (version.nonce === NONCE) {
+		return 'connected to ourselves';
+	}
+
+	if (Array.from(peerVersions.values()).some((peer) => peer.nonce === version.nonce)) {
+		return 'already connected to the peer';
+	}
+
+	if (version.version < MIN_PROTOCOL_VERSION) {
+		return 'protocol version ' + version.version + ' is not supported';
+	}
+
+	if (version.networkId !== NETWORK_ID) {
+		return 'the peer is on another network: ' + version.networkId;
+	}
+
+	if (version.genesisHash !== getBlockchain()[0].hash) {
+		return 'the peer has another genesis block: ' + version.genesisHash;
+	}
+
+	return null;
+};
+
+const handleVersion = (ws, version) => {
+	const handshake = handshakes.get(ws);
+
+	if (handshake === undefined || handshake.version !== null) {
+		console.log('unexpected version received');
+		return;
+	}
+
+	const incompatibility = getIncompatibility(version);
+
+	if (incompatibility !== null) {
+		// the address is forgotten, except a duplicate connection
+		if (!handshake.inbound && !Array.from(peerVersions.values()).some((peer) => peer.nonce === version.nonce)) {
+			removeAddress(ws.url);
+		}
+		disconnect(ws, incompatibility);
+		return;
+	}
+
+	handshake.version = _.pick(version, ['version', 'networkId', 'genesisHash', 'height', 'userAgent', 'port', 'nonce']);
+	write(ws, verackMsg());
+
+	if (handshake.verack) {
+		completeHandshake(ws);
+	}
+};
+
+const handleVerack = (ws) => {
+	const handshake = handshakes.get(ws);
+
+	if (handshake === undefined || handshake.verack) {
+		console.log('unexpected verack received');
+		return;
+	}
+
+	handshake.verack = true;
+
+	if (handshake.version !== null) {
+		completeHandshake(ws);
+	}
+};
+
+/**
+ * The height of the peer is updated from the blocks it sends
+ * */
+const updatePeerHeight = (ws, block) => {
+	const peerVersion = peerVersions.get(ws);
+
+	if (peerVersion !== undefined && Number.isInteger(block.index) && block.index > peerVersion.height) {
+		peerVersion.height = block.index;
+	}
+};
+
 const JSONToObject = (data) => {
 	try {
 		return JSON.parse(data);
@@ -60,41 +305,112 @@ const initMessageHandler = (ws) => {
 			}
 
 			console.log('Received message: %s', JSON.stringify(message));
+
+			if (!sockets.includes(ws) && message.type !== MessageType.VERSION && message.type !== MessageType.VERACK) {
+				console.log('message received before the handshake, ignored');
+				return;
+			}
+
 			switch (message.type) {
+				case MessageType.VERSION:
+					handleVersion(ws, JSONToObject(message.data));
+					break;
+				case MessageType.VERACK:
+					handleVerack(ws);
+					break;
+				case MessageType.GETADDR:
+					write(ws, addrMsg(getKnownAddresses(MAX_ADDR)));
+					break;
+				case MessageType.ADDR:
+					const addresses = JSONToObject(message.data);
+					if (!(addresses instanceof Array) || addresses.length > MAX_ADDR) {
+						console.log('invalid addresses received: %s', JSON.stringify(message.data));
+						break;
+					}
+					const newAddresses = addresses.filter((url) => isValidPeerUrl(url) && addAddress(url));
+					console.log('%d new peer addresses received', newAddresses.length);
+					break;
 				case MessageType.QUERY_LATEST:
 					write(ws, responseLatestMsg());
 					break;
-				case MessageType.QUERY_ALL:
-					write(ws, responseChainMsg());
-					break;
 				case MessageType.RESPONSE_BLOCKCHAIN:
 					const receivedBlocks = JSONToObject(message.data);
 					if (receivedBlocks === null) {
 						console.log('invalid blocks received: %s', JSON.stringify(message.data));
 						break;
 					}
-					handleBlockchainResponse(receivedBlocks);
+					handleBlockchainResponse(ws, receivedBlocks);
+					break;
+				case MessageType.QUERY_HEADERS:
+					const query = JSONToObject(message.data);
+					if (query === null || !(query.locator instanceof Array)) {
+						console.log('invalid headers query received: %s', JSON.stringify(message.data));
+						break;
+					}
+					write(ws, responseHeadersMsg(getHeadersAfter(query.locator, MAX_HEADERS)));
+					break;
+				case MessageType.RESPONSE_HEADERS:
+					const receivedHeaders = JSONToObject(message.data);
+					if (receivedHeaders === null || !(receivedHeaders instanceof Array)) {
+						console.log('invalid headers received: %s', JSON.stringify(message.data));
+						break;
+					}
+					handleHeadersResponse(ws, receivedHeaders);
+					break;
+				case MessageType.QUERY_BLOCKS:
+					const hashes = JSONToObject(message.data);
+					if (hashes === null || !(hashes instanceof Array)) {
+						console.log('invalid blocks query received: %s', JSON.stringify(message.data));
+						break;
+					}
+					const blocks = getBlocksByHashes(hashes.slice(0, MAX_BLOCKS));
+					blocks.forEach((block) => addKnownInventory(ws, block.hash));
+					write(ws, responseBlocksMsg(blocks));
+					break;
+				case MessageType.RESPONSE_BLOCKS:
+					const receivedBatch = JSONToObject(message.data);
+					if (receivedBatch === null || !(receivedBatch instanceof Array)) {
+						console.log('invalid blocks received: %s', JSON.stringify(message.data));
+						break;
+					}
+					handleBlocksResponse(ws, receivedBatch);
 					break;
 				case MessageType.QUERY_TRANSACTION_POOL:
-					write(ws, responseTransactionPoolMsg());
+					// the pool is announced in its order - a parent is received before its children
+					_.chunk(getTransactionPool(), MAX_INVENTORY).forEach((txs) => announceTo(ws, txs.map(transactionInventory)));
+					break;
+				case MessageType.INV:
+					const inventory = JSONToObject(message.data);
+					if (!isValidInventory(inventory)) {
+						console.log('invalid inventory received: %s', JSON.stringify(message.data));
+						break;
+					}
+					handleInventory(ws, inventory);
+					break;
+				case MessageType.GETDATA:
+					const requested = JSONToObject(message.data);
+					if (!isValidInventory(requested)) {
+						console.log('invalid data request received: %s', JSON.stringify(message.data));
+						break;
+					}
+					handleGetData(ws, requested);
 					break;
-				case MessageType.RESPONSE_TRANSACTION_POOL:
-					// Every time we receive unconfirmed transactions, we try to add those to our transaction pool:
-					const receivedTransactions = JSONToObject(message.data);
-					if (receivedTransactions === null) {
+				case MessageType.TX:
+					const receivedTransaction = JSONToObject(message.data);
+					if (receivedTransaction === null || typeof receivedTransaction !== 'object') {
 						console.log('invalid transaction received: %s', JSON.stringify(message.data));
 						break;
 					}
-					receivedTransactions.forEach((transaction) => {
-						try {
-							handleReceivedTransaction(transaction);
-							// if no error is thrown, transaction was indeed added to the pool
-							// let's broadcast transaction pool
-							broadCastTransactionPool();
-						} catch (e) {
-							console.log(e.message);
-						}
-					});
+					handleTransactionMsg(ws, receivedTransaction);
+					break;
+				case MessageType.BLOCK:
+					const receivedBlock = JSONToObject(message.data);
+					if (receivedBlock === null || typeof receivedBlock !== 'object') {
+						console.log('invalid block received: %s', JSON.stringify(message.data));
+						break;
+					}
+					addKnownInventory(ws, receivedBlock.hash);
+					handleBlockchainResponse(ws, [receivedBlock]);
 					break;
 			}
 		} catch (e) {
@@ -104,15 +420,31 @@ const initMessageHandler = (ws) => {
 };
 
 const write = (ws, message) => ws.send(JSON.stringify(message));
-const broadcast = (message) => sockets.forEach((socket) => write(socket, message));
 
-const queryChainLengthMsg = () => ({'type': MessageType.QUERY_LATEST, 'data': null});
-const queryAllMsg = () => ({'type': MessageType.QUERY_ALL, 'data': null});
+const versionMsg = () => ({
+	'type': MessageType.VERSION,
+	'data': JSON.stringify({
+		'version': PROTOCOL_VERSION,
+		'networkId': NETWORK_ID,
+		'genesisHash': getBlockchain()[0].hash,
+		'height': getLatestBlock().index,
+		'userAgent': USER_AGENT,
+		'port': listeningPort,
+		'nonce': NONCE
+	})
+});
+
+const verackMsg = () => ({'type': MessageType.VERACK, 'data': null});
+
+const getAddrMsg = () => ({'type': MessageType.GETADDR, 'data': null});
 
-const responseChainMsg = () => ({
-	'type': MessageType.RESPONSE_BLOCKCHAIN, 'data': JSON.stringify(getBlockchain())
+const addrMsg = (addresses) => ({
+	'type': MessageType.ADDR,
+	'data': JSON.stringify(addresses)
 });
 
+const queryChainLengthMsg = () => ({'type': MessageType.QUERY_LATEST, 'data': null});
+
 const responseLatestMsg = () => ({
 	'type': MessageType.RESPONSE_BLOCKCHAIN,
 	'data': JSON.stringify([getLatestBlock()])
@@ -123,22 +455,72 @@ const queryTransactionPoolMsg = () => ({
 	'data': null
 });
 
-const responseTransactionPoolMsg = () => ({
-	'type': MessageType.RESPONSE_TRANSACTION_POOL,
-	'data': JSON.stringify(getTransactionPool())
+const queryHeadersMsg = (locator) => ({
+	'type': MessageType.QUERY_HEADERS,
+	'data': JSON.stringify({'locator': locator})
+});
+
+const responseHeadersMsg = (headers) => ({
+	'type': MessageType.RESPONSE_HEADERS,
+	'data': JSON.stringify(headers)
+});
+
+const queryBlocksMsg = (hashes) => ({
+	'type': MessageType.QUERY_BLOCKS,
+	'data': JSON.stringify(hashes)
+});
+
+const responseBlocksMsg = (blocks) => ({
+	'type': MessageType.RESPONSE_BLOCKS,
+	'data': JSON.stringify(blocks)
+});
+
+const invMsg = (inventory) => ({
+	'type': MessageType.INV,
+	'data': JSON.stringify(inventory)
+});
+
+const getDataMsg = (inventory) => ({
+	'type': MessageType.GETDATA,
+	'data': JSON.stringify(inventory)
+});
+
+const txMsg = (transaction) => ({
+	'type': MessageType.TX,
+	'data': JSON.stringify(transaction)
+});
+
+const blockMsg = (block) => ({
+	'type': MessageType.BLOCK,
+	'data': JSON.stringify(block)
 });
 
 const initErrorHandler = (ws) => {
 	const closeConnection = (myWs) => {
 		console.log('connection failed to peer: ' + myWs.url);
-		sockets.splice(sockets.indexOf(myWs), 1);
+		if (sockets.includes(myWs)) {
+			sockets.splice(sockets.indexOf(myWs), 1);
+		}
+		knownInventories.delete(myWs);
+		peerVersions.delete(myWs);
+		if (handshakes.has(myWs)) {
+			clearTimeout(handshakes.get(myWs).timer);
+			handshakes.delete(myWs);
+		}
+		if (syncState !== null && syncState.ws === myWs) {
+			stopSync('sync peer disconnected');
+		}
 	};
 
 	ws.on('close', () => closeConnection(ws));
 	ws.on('error', () => closeConnection(ws));
 };
 
-const handleBlockchainResponse = (receivedBlocks) => {
+/**
+ * A peer sends its latest block
+ * If the block extends our chain we add it, else we synchronize with the peer from our common ancestor
+ * */
+const handleBlockchainResponse = (ws, receivedBlocks) => {
 	if (receivedBlocks.length === 0) {
 		console.log('received block chain size of 0');
 		return;
@@ -151,6 +533,8 @@ const handleBlockchainResponse = (receivedBlocks) => {
 		return;
 	}
 
+	updatePeerHeight(ws, latestBlockReceived);
+
 	const latestBlockHeld = getLatestBlock();
 
 	if (latestBlockReceived.index > latestBlockHeld.index) {
@@ -158,38 +542,354 @@ const handleBlockchainResponse = (receivedBlocks) => {
 
 		if (latestBlockHeld.hash === latestBlockReceived.previousHash) {
 			if (addBlockToChain(latestBlockReceived)) {
-				broadcast(responseLatestMsg());
+				broadcastLatest();
 			}
-		} else if (receivedBlocks.length === 1) {
-			console.log('We have to query the chain from our peer');
-			broadcast(queryAllMsg());
 		} else {
-			console.log('Received blockchain is longer than current blockchain');
-			replaceChain(receivedBlocks);
+			startSync(ws);
 		}
 	} else {
 		console.log('received blockchain is not longer than received blockchain. Do nothing');
 	}
 };
 
+/**
+ * ## Synchronization
+ * Ask the headers of the peer after the latest block we have in common
+ * */
+const startSync = (ws) => {
+	if (syncState !== null) {
+		console.log('already synchronizing with a peer');
+		return;
+	}
+
+	console.log('synchronizing with peer: ' + ws.url);
+	syncState = { 'ws': ws, 'ancestorHeight': null, 'headers': [], 'downloaded': 0, 'forkBlocks': [], 'timer': null };
+	requestFromSyncPeer(queryHeadersMsg(getBlockLocator()));
+};
+
+const stopSync = (reason) => {
+	console.log('synchronization ended: ' + reason);
+	clearTimeout(syncState.timer);
+	syncState = null;
+};
+
+/**
+ * Stop the sync and disconnect the peer - an outbound peer is retried later by the address book
+ * */
+const dropSyncPeer = (reason) => {
+	const ws = syncState.ws;
+	stopSync(reason);
+	disconnect(ws, reason);
+};
+
+/**
+ * Send a message to the sync peer - the sync is stopped if it does not answer in time
+ * */
+const requestFromSyncPeer = (message) => {
+	clearTimeout(syncState.timer);
+	syncState.timer = setTimeout(() => stopSync('timeout'), SYNC_TIMEOUT);
+	write(syncState.ws, message);
+};
+
+/**
+ * ## Synchronization
+ * The headers are validated, then the blocks are downloaded by batches if the chain of the peer is heavier than ours
+ * */
+const handleHeadersResponse = (ws, headers) => {
+	if (syncState === null || syncState.ws !== ws) {
+		console.log('unexpected headers received');
+		return;
+	}
+
+	const blockchain = getBlockchain();
+
+	if (syncState.headers.length + headers.length > MAX_SYNC_HEADERS) {
+		dropSyncPeer('more than ' + MAX_SYNC_HEADERS + ' headers');
+		return;
+	}
+
+	if (headers.length > 0) {
+		// the first headers follow our common ancestor
+		if (syncState.ancestorHeight === null) {
+			syncState.ancestorHeight = blockchain.findIndex((block) => block.hash === headers[0].previousHash);
+
+			if (syncState.ancestorHeight === -1) {
+				stopSync('no common ancestor with the peer');
+				return;
+			}
+		}
+
+		// the difficulty of each header is computed from the headers before it
+		const headerChain = blockchain.slice(0, syncState.ancestorHeight + 1).concat(syncState.headers);
+
+		for (const header of headers) {
+			if (!isValidBlockHeader(header, headerChain[headerChain.length - 1], getDifficulty(headerChain))) {
+				stopSync('invalid header received');
+				return;
+			}
+			headerChain.push(header);
+		}
+
+		const lastHeader = headerChain[headerChain.length - 1];
+
+		syncState.headers = syncState.headers.concat(headers);
+
+		// the peer has more headers
+		if (headers.length === MAX_HEADERS) {
+			requestFromSyncPeer(queryHeadersMsg([lastHeader.hash]));
+			return;
+		}
+	}
+
+	if (syncState.headers.length === 0) {
+		stopSync('no new headers');
+		return;
+	}
+
+	// the blocks of a fork are held in memory until all received
+	if (syncState.ancestorHeight < blockchain.length - 1 && syncState.headers.length > MAX_FORK_BLOCKS) {
+		dropSyncPeer('fork of more than ' + MAX_FORK_BLOCKS + ' blocks');
+		return;
+	}
+
+	const candidateChain = blockchain.slice(0, syncState.ancestorHeight + 1).concat(syncState.headers);
+
+	if (getAccumulatedDifficulty(candidateChain) <= getAccumulatedDifficulty(blockchain)) {
+		stopSync('the chain of the peer is not heavier than ours');
+		return;
+	}
+
+	console.log('downloading %d blocks from height %d', syncState.headers.length, syncState.ancestorHeight + 1);
+	requestNextBlocks();
+};
+
+const requestNextBlocks = () => {
+	const hashes = syncState.headers
+		.slice(syncState.downloaded, syncState.downloaded + MAX_BLOCKS)
+		.map((header) => header.hash);
+
+	requestFromSyncPeer(queryBlocksMsg(hashes));
+};
+
+/**
+ * ## Synchronization
+ * The blocks are validated as they arrive - a block extending our chain is added to it
+ * On a fork, only the blocks after the common ancestor are downloaded, they replace our chain once all received
+ * */
+const handleBlocksResponse = (ws, blocks) => {
+	if (syncState === null || syncState.ws !== ws) {
+		console.log('unexpected blocks received');
+		return;
+	}
+
+	if (blocks.length === 0) {
+		stopSync('the peer has not sent the requested blocks');
+		return;
+	}
+
+	for (const block of blocks) {
+		const expectedHeader = syncState.headers[syncState.downloaded];
+
+		if (expectedHeader === undefined || !isValidBlockStructure(block) || block.hash !== expectedHeader.hash) {
+			stopSync('unexpected block received');
+			return;
+		}
+
+		addKnownInventory(ws, block.hash);
+
+		const forkBlocks = syncState.forkBlocks;
+
+		if (forkBlocks.length === 0 && getLatestBlock().hash === block.previousHash) {
+			if (!addBlockToChain(block)) {
+				stopSync('invalid block received');
+				return;
+			}
+		} else {
+			const previousBlock = forkBlocks.length > 0 ? forkBlocks[forkBlocks.length - 1] : getBlockchain()[syncState.ancestorHeight];
+
+			// the difficulty of the header was checked before downloading the block
+			if (!isValidNewBlock(block, previousBlock, expectedHeader.difficulty)) {
+				stopSync('invalid block received');
+				return;
+			}
+			forkBlocks.push(block);
+		}
+
+		syncState.downloaded++;
+	}
+
+	if (syncState.downloaded < syncState.headers.length) {
+		requestNextBlocks();
+		return;
+	}
+
+	if (syncState.forkBlocks.length > 0) {
+		const ancestorHeight = syncState.forkBlocks[0].index - 1;
+		replaceChain(getBlockchain().slice(0, ancestorHeight + 1).concat(syncState.forkBlocks));
+	} else {
+		broadcastLatest();
+	}
+
+	stopSync('synchronized up to height ' + getLatestBlock().index);
+};
+
+/**
+ * ## Inventory
+ * @param {object} transaction
+ * @return {object} the inventory item of the transaction
+ * */
+const transactionInventory = (transaction) => ({ 'type': InventoryType.TRANSACTION, 'hash': transaction.id });
+
+const isValidInventory = (inventory) => {
+	return inventory instanceof Array
+		&& inventory.length <= MAX_INVENTORY
+		&& inventory.every((item) => item !== null && _.values(InventoryType).includes(item.type) && typeof item.hash === 'string');
+};
+
+/**
+ * The peer has the transaction or the block - it is not announced to it anymore
+ * @param {object} ws
+ * @param {string} hash
+ * */
+const addKnownInventory = (ws, hash) => {
+	const knownInventory = knownInventories.get(ws);
+
+	if (knownInventory === undefined) {
+		return;
+	}
+
+	knownInventory.delete(hash);
+	knownInventory.add(hash);
+
+	if (knownInventory.size > MAX_KNOWN_INVENTORY) {
+		knownInventory.delete(knownInventory.values().next().value);
+	}
+};
+
+/**
+ * Announce the items the peer does not know
+ * @param {object} ws
+ * @param {array} inventory
+ * */
+const announceTo = (ws, inventory) => {
+	const knownInventory = knownInventories.get(ws) || new Set();
+	const unknownInventory = inventory.filter((item) => !knownInventory.has(item.hash));
+
+	if (unknownInventory.length === 0) {
+		return;
+	}
+
+	unknownInventory.forEach((item) => addKnownInventory(ws, item.hash));
+	write(ws, invMsg(unknownInventory));
+};
+
+const announce = (inventory) => sockets.forEach((socket) => announceTo(socket, inventory));
+
+/**
+ * A peer announces transactions and blocks - we ask the ones we do not have
+ * */
+const handleInventory = (ws, inventory) => {
+	const poolTxIds = getTransactionPool().map((tx) => tx.id);
+
+	inventory.forEach((item) => addKnownInventory(ws, item.hash));
+
+	const missingInventory = inventory.filter((item) => {
+		if (item.type === InventoryType.TRANSACTION) {
+			return !poolTxIds.includes(item.hash);
+		}
+
+		// the peer has a block we already have
+		const blocks = getBlocksByHashes([item.hash]);
+		blocks.forEach((block) => updatePeerHeight(ws, block));
+		return blocks.length === 0;
+	});
+
+	if (missingInventory.length > 0) {
+		write(ws, getDataMsg(missingInventory));
+	}
+};
+
+/**
+ * A peer asks transactions of our pool and blocks of our chain - the ones we do not have anymore are ignored
+ * */
+const handleGetData = (ws, inventory) => {
+	const transactionPool = getTransactionPool();
+
+	for (const item of inventory) {
+		const data = item.type === InventoryType.TRANSACTION
+			? transactionPool.find((tx) => tx.id === item.hash)
+			: getBlocksByHashes([item.hash])[0];
+
+		if (data !== undefined) {
+			addKnownInventory(ws, item.hash);
+			write(ws, item.type === InventoryType.TRANSACTION ? txMsg(data) : blockMsg(data));
+		}
+	}
+};
+
+/**
+ * Every time we receive an unconfirmed transaction, we try to add it to our transaction pool - once added, it is announced to our peers
+ * */
+const handleTransactionMsg = (ws, transaction) => {
+	addKnownInventory(ws, transaction.id);
+
+	try {
+		handleReceivedTransaction(transaction);
+		broadcastTransactions([transaction]);
+	} catch (e) {
+		console.log(e.message);
+	}
+};
+
+/**
+ * Announce our latest block - the peers which do not have it ask it with GETDATA
+ * */
 const broadcastLatest = () => {
-	broadcast(responseLatestMsg());
+	announce([{ 'type': InventoryType.BLOCK, 'hash': getLatestBlock().hash }]);
 };
 
+/**
+ * Connect to a peer added by hand - it is kept in the address book, we reconnect to it when the connection drops
+ * @param {string} newPeer - ws://host:port
+ * */
 const connectToPeers = (newPeer) => {
-	const ws = new WebSocket(newPeer);
+	if (!isValidPeerUrl(newPeer)) {
+		throw Error('invalid peer address: ' + newPeer);
+	}
+
+	addAddress(newPeer, true);
+	connectTo(newPeer);
+};
+
+const connectTo = (url) => {
+	if (outboundConnections.has(url)) {
+		return;
+	}
+
+	const ws = new WebSocket(url);
+	outboundConnections.set(url, ws);
 
 	ws.on('open', () => {
 		initConnection(ws);
 	});
 
 	ws.on('error', () => {
-		console.log('connection failed');
+		console.log('connection failed: ' + url);
+	});
+
+	// the next attempt is delayed by the address book
+	ws.on('close', () => {
+		outboundConnections.delete(url);
+		markFailed(url);
 	});
 };
 
-const broadCastTransactionPool = () => {
-	broadcast(responseTransactionPoolMsg());
+/**
+ * Announce transactions added to our pool
+ * @param {array} transactions
+ * */
+const broadcastTransactions = (transactions) => {
+	announce(transactions.map(transactionInventory));
 };
 
-export { connectToPeers, broadcastLatest, broadCastTransactionPool, initP2PServer, getSockets };
+export { connectToPeers, broadcastLatest, broadcastTransactions, initP2PServer, getPeers, getSockets };
@@ -0,0 +1,304 @@
+import * as CryptoJS from 'crypto-js';
+import { MAX_MULTISIG_KEYS } from './address';
+import { LOCKTIME_THRESHOLD, verifySignature } from './transaction';
+
+/**
+ * Scripts - the spending condition of a txOut
+ * A txOut can carry a locking script, the txIn spending it gives an unlocking script
+ * The unlocking script (data only) is run, then the locking script on the same stack - the txOut is unlocked if the top of the stack is true
+ *
+ * A script is a list of tokens separated by spaces:
+ * - OP_XXX: an opcode
+ * - a decimal integer: a number (OP_0 and OP_1 push 0 and 1)
+ * - 0x + hexa: data (a public key, a signature, a hash...)
+ * There are no loops, the execution is bounded by the limits below
+ *
+ * Example - hash time locked contract: the receiver spends with the preimage of the hash, or the sender after the height 1000
+ * OP_IF OP_SHA256 0x<hash> OP_EQUALVERIFY 0x<receiver public key> OP_ELSE 1000 OP_CHECKLOCKTIMEVERIFY OP_DROP 0x<sender public key> OP_ENDIF OP_CHECKSIG
+ * */
+
+const MAX_SCRIPT_SIZE = 10000; // in characters
+const MAX_SCRIPT_OPS = 201; // opcodes executed by script
+const MAX_STACK_SIZE = 1000;
+const MAX_DATA_SIZE = 520; // in bytes
+const MAX_SIG_CHECKS = MAX_MULTISIG_KEYS * MAX_MULTISIG_KEYS; // signature verifications by txIn - an m-of-n with the largest n fits
+
+const FLOW_OPCODES = ['OP_IF', 'OP_NOTIF', 'OP_ELSE', 'OP_ENDIF'];
+
+/**
+ * Split a script into tokens
+ * @param {string} script
+ * @return {array} [{ type: 'op' | 'number' | 'data', value }] - null if the script is invalid
+ * */
+const parseScript = (script) => {
+	if (typeof script !== 'string' || script.length > MAX_SCRIPT_SIZE) {
+		console.log('invalid script: not a string or too long');
+		return null;
+	}
+
+	const tokens = [];
+
+	for (const token of script.split(' ').filter((aToken) => aToken !== '')) {
+		if (token.startsWith('OP_')) {
+			if (OPCODES[token] === undefined && !FLOW_OPCODES.includes(token)) {
+				console.log('unknown opcode in script: ' + token);
+				return null;
+			}
+			tokens.push({ 'type': 'op', 'value': token });
+		} else if (token.match('^-?[0-9]{1,15}$') !== null) {
+			tokens.push({ 'type': 'number', 'value': parseInt(token, 10) });
+		} else if (token.match('^0x([a-f0-9]{2})+$') !== null && token.length - 2 <= MAX_DATA_SIZE * 2) {
+			tokens.push({ 'type': 'data', 'value': token.slice(2) });
+		} else {
+			console.log('invalid token in script: ' + token);
+			return null;
+		}
+	}
+
+	return tokens;
+};
+
+/**
+ * @param {string} script
+ * @return {boolean}
+ * */
+const isValidScript = (script) => parseScript(script) !== null;
+
+/**
+ * @param {string} script
+ * @return {boolean} true if the script only pushes data - an unlocking script can not run opcodes
+ * */
+const isPushOnly = (script) => {
+	const tokens = parseScript(script);
+	return tokens !== null && tokens.every((token) => token.type !== 'op');
+};
+
+const isTrue = (item) => typeof item === 'number' ? item !== 0 : item.match('[1-9a-f]') !== null;
+
+/**
+ * The stack of the execution - data items are in hexa, numbers are numbers
+ * */
+const pop = (stack) => {
+	if (stack.length === 0) {
+		throw Error('pop from an empty stack');
+	}
+	return stack.pop();
+};
+
+const popData = (stack) => {
+	const item = pop(stack);
+	if (typeof item !== 'string') {
+		throw Error('data expected, got a number');
+	}
+	return item;
+};
+
+const popNumber = (stack) => {
+	const item = pop(stack);
+	if (typeof item !== 'number') {
+		throw Error('number expected, got data');
+	}
+	return item;
+};
+
+const verify = (stack, opcode) => {
+	if (!isTrue(pop(stack))) {
+		throw Error(opcode + ' failed');
+	}
+};
+
+/**
+ * The context of the execution - { transaction: the spending transaction, signatureHash: the data signed by the txIn, sigChecks: signatures verified so far }
+ * */
+const checkSignature = (publicKey, signature, context) => {
+	context.sigChecks++;
+	if (context.sigChecks > MAX_SIG_CHECKS) {
+		throw Error('too many signature checks');
+	}
+	return verifySignature(publicKey, context.signatureHash, signature);
+};
+
+/**
+ * m-of-n signatures: stack <signatures...> m <public keys...> n - each public key is counted once
+ * */
+const checkMultisig = (stack, context) => {
+	const n = popNumber(stack);
+	if (n < 0 || n > MAX_MULTISIG_KEYS) {
+		throw Error('invalid number of public keys: ' + n);
+	}
+	const publicKeys = [];
+	for (let i = 0; i < n; i++) {
+		publicKeys.push(popData(stack));
+	}
+
+	const m = popNumber(stack);
+	if (m < 0 || m > n) {
+		throw Error('invalid number of signatures: ' + m);
+	}
+	const signatures = [];
+	for (let i = 0; i < m; i++) {
+		signatures.push(popData(stack));
+	}
+
+	const signedPublicKeys = publicKeys.filter((publicKey) => signatures.some((signature) => checkSignature(publicKey, signature, context)));
+	return signedPublicKeys.length >= m;
+};
+
+/**
+ * The opcodes - each one updates the stack, it throws an error when the script fails
+ * */
+const OPCODES = {
+	'OP_0': (stack) => stack.push(0),
+	'OP_FALSE': (stack) => stack.push(0),
+	'OP_1': (stack) => stack.push(1),
+	'OP_TRUE': (stack) => stack.push(1),
+	'OP_VERIFY': (stack) => verify(stack, 'OP_VERIFY'),
+	'OP_RETURN': () => {
+		throw Error('OP_RETURN');
+	},
+	'OP_DUP': (stack) => {
+		const item = pop(stack);
+		stack.push(item, item);
+	},
+	'OP_DROP': (stack) => {
+		pop(stack);
+	},
+	'OP_SWAP': (stack) => {
+		const a = pop(stack);
+		const b = pop(stack);
+		stack.push(a, b);
+	},
+	'OP_SIZE': (stack) => {
+		const item = popData(stack);
+		stack.push(item, item.length / 2);
+	},
+	'OP_EQUAL': (stack) => stack.push(pop(stack) === pop(stack) ? 1 : 0),
+	'OP_EQUALVERIFY': (stack) => {
+		OPCODES['OP_EQUAL'](stack);
+		verify(stack, 'OP_EQUALVERIFY');
+	},
+	'OP_SHA256': (stack) => stack.push(CryptoJS.SHA256(CryptoJS.enc.Hex.parse(popData(stack))).toString()),
+	'OP_HASH160': (stack) => stack.push(CryptoJS.RIPEMD160(CryptoJS.SHA256(CryptoJS.enc.Hex.parse(popData(stack)))).toString()),
+	'OP_CHECKSIG': (stack, context) => {
+		const publicKey = popData(stack);
+		const signature = popData(stack);
+		stack.push(checkSignature(publicKey, signature, context) ? 1 : 0);
+	},
+	'OP_CHECKSIGVERIFY': (stack, context) => {
+		OPCODES['OP_CHECKSIG'](stack, context);
+		verify(stack, 'OP_CHECKSIGVERIFY');
+	},
+	'OP_CHECKMULTISIG': (stack, context) => stack.push(checkMultisig(stack, context) ? 1 : 0),
+	'OP_CHECKMULTISIGVERIFY': (stack, context) => {
+		OPCODES['OP_CHECKMULTISIG'](stack, context);
+		verify(stack, 'OP_CHECKMULTISIGVERIFY');
+	},
+	// the lockTime of the transaction must be at least the height (or timestamp) on the stack - the item stays on the stack
+	'OP_CHECKLOCKTIMEVERIFY': (stack, context) => {
+		const lockTime = popNumber(stack);
+		const txLockTime = context.transaction.lockTime || 0;
+		stack.push(lockTime);
+
+		if (lockTime < 0 || (lockTime < LOCKTIME_THRESHOLD) !== (txLockTime < LOCKTIME_THRESHOLD) || txLockTime < lockTime) {
+			throw Error('OP_CHECKLOCKTIMEVERIFY failed, lockTime of the transaction: ' + txLockTime);
+		}
+	}
+};
+
+/**
+ * Run the tokens of a script
+ * @param {array} tokens
+ * @param {array} stack
+ * @param {object} context - { transaction, signatureHash, sigChecks }
+ * @return {void}
+ * */
+const execute = (tokens, stack, context) => {
+	const conditions = []; // one boolean by open OP_IF - the tokens are executed if all are true
+	let opCount = 0;
+
+	for (const token of tokens) {
+		const executing = conditions.every((condition) => condition);
+
+		if (token.type === 'op') {
+			opCount++;
+			if (opCount > MAX_SCRIPT_OPS) {
+				throw Error('too many opcodes');
+			}
+		}
+
+		if (token.type === 'op' && FLOW_OPCODES.includes(token.value)) {
+			switch (token.value) {
+				case 'OP_IF':
+				case 'OP_NOTIF':
+					conditions.push(executing ? isTrue(pop(stack)) === (token.value === 'OP_IF') : false);
+					break;
+				case 'OP_ELSE':
+					if (conditions.length === 0) {
+						throw Error('OP_ELSE without OP_IF');
+					}
+					conditions.push(!conditions.pop());
+					break;
+				case 'OP_ENDIF':
+					if (conditions.length === 0) {
+						throw Error('OP_ENDIF without OP_IF');
+					}
+					conditions.pop();
+					break;
+			}
+		} else if (executing) {
+			if (token.type === 'op') {
+				OPCODES[token.value](stack, context);
+			} else {
+				stack.push(token.value);
+			}
+		}
+
+		if (stack.length > MAX_STACK_SIZE) {
+			throw Error('stack overflow');
+		}
+	}
+
+	if (conditions.length !== 0) {
+		throw Error('OP_IF without OP_ENDIF');
+	}
+};
+
+/**
+ * Check that an unlocking script satisfies a locking script
+ * @param {string} unlockingScript - of the txIn, data only
+ * @param {string} lockingScript - of the spent txOut
+ * @param {object} transaction - the spending transaction
+ * @param {string} signatureHash - the data signed by the txIn
+ * @return {boolean}
+ * */
+const evaluateScript = (unlockingScript, lockingScript, transaction, signatureHash) => {
+	if (!isPushOnly(unlockingScript)) {
+		console.log('the unlocking script must only push data, txId: ' + transaction.id);
+		return false;
+	}
+
+	const lockingTokens = parseScript(lockingScript);
+	if (lockingTokens === null) {
+		return false;
+	}
+
+	const stack = [];
+	const context = { transaction, signatureHash, 'sigChecks': 0 };
+
+	try {
+		execute(parseScript(unlockingScript), stack, context);
+		execute(lockingTokens, stack, context);
+	} catch (e) {
+		console.log('script failed: %s txId: %s', e.message, transaction.id);
+		return false;
+	}
+
+	if (stack.length === 0 || !isTrue(stack[stack.length - 1])) {
+		console.log('script failed: false at the top of the stack, txId: ' + transaction.id);
+		return false;
+	}
+
+	return true;
+};
+
+export { parseScript, isValidScript, isPushOnly, evaluateScript };
@@ -0,0 +1,305 @@
+import { appendFileSync, chmodSync, closeSync, existsSync, mkdirSync, openSync, readFileSync, readSync, renameSync, statSync, truncateSync, writeFileSync } from 'fs';
+import _ from 'lodash';
+import path from 'path';
+
+// Each node must use its own data directory (DATA_DIR=node/data2 npm start)
+const dataDirectory = process.env.DATA_DIR || 'node/data';
+const blocksLocation = path.join(dataDirectory, 'blocks.dat');
+const indexLocation = path.join(dataDirectory, 'blocks.idx');
+const undoLocation = path.join(dataDirectory, 'undo.dat'); // undo data of each block - the txOuts spent by the block, to roll it back on a fork
+const unspentTxOutsLocation = path.join(dataDirectory, 'utxo.json');
+const peersLocation = path.join(dataDirectory, 'peers.json'); // address book
+
+/**
+ * The index of the block file - one entry by block: { hash, index, offset, length, undoOffset, undoLength }
+ * The position in the array is the height of the block
+ * */
+let blockIndex = [];
+
+/**
+ * Write a file in one go - we write into a temporary file then rename it, so a crash never leaves a half written file
+ * @param {string} location
+ * @param {string} content
+ * @param {number} mode - optional, permissions of the file
+ * @return {void}
+ * */
+const writeFileAtomic = (location, content, mode) => {
+	const tmpLocation = location + '.tmp';
+	writeFileSync(tmpLocation, content, { 'mode': mode });
+
+	// the temporary file may be left by a crash, with other permissions
+	if (mode !== undefined) {
+		chmodSync(tmpLocation, mode);
+	}
+	renameSync(tmpLocation, location);
+};
+
+const saveIndex = () => {
+	writeFileAtomic(indexLocation, JSON.stringify(blockIndex));
+};
+
+/**
+ * Rebuild the index by reading the block file line by line - used when the index is missing or corrupted
+ * @return {array}
+ * */
+const rebuildIndex = () => {
+	const content = readFileSync(blocksLocation);
+	const entries = [];
+	let offset = 0;
+
+	while (offset < content.length) {
+		const end = content.indexOf('\n', offset);
+
+		// a truncated record at the end of the file (crash during an append) is dropped
+		if (end === -1) {
+			break;
+		}
+
+		try {
+			const block = JSON.parse(content.slice(offset, end).toString('utf8'));
+			entries.push({ 'hash': block.hash, 'index': block.index, 'offset': offset, 'length': end - offset });
+		} catch (e) {
+			console.log('corrupted record in block file at offset: ' + offset);
+			break;
+		}
+
+		offset = end + 1;
+	}
+
+	return entries;
+};
+
+/**
+ * Create the data directory and load the index of the block file
+ * @return {void}
+ * */
+const initStorage = () => {
+	if (!existsSync(dataDirectory)) {
+		mkdirSync(dataDirectory, { recursive: true });
+	}
+
+	if (!existsSync(undoLocation)) {
+		writeFileSync(undoLocation, '');
+	}
+
+	if (!existsSync(blocksLocation)) {
+		writeFileSync(blocksLocation, '');
+		blockIndex = [];
+		saveIndex();
+		return;
+	}
+
+	try {
+		blockIndex = JSON.parse(readFileSync(indexLocation, 'utf8'));
+	} catch (e) {
+		console.log('could not read the block index, rebuilding it from: %s', blocksLocation);
+		blockIndex = rebuildIndex();
+	}
+
+	// the index must never point after the end of the block file
+	const fileSize = statSync(blocksLocation).size;
+	const validEntries = blockIndex.filter((entry) => entry.offset + entry.length < fileSize);
+
+	if (validEntries.length !== blockIndex.length) {
+		console.log('block index is ahead of the block file, rebuilding it from: %s', blocksLocation);
+		blockIndex = rebuildIndex();
+	}
+
+	// an undo record out of the undo file is dropped, the undo data of the block is computed again on startup
+	const undoFileSize = statSync(undoLocation).size;
+	blockIndex = blockIndex.map((entry) => {
+		if (entry.undoOffset !== undefined && entry.undoOffset + entry.undoLength >= undoFileSize) {
+			return _.omit(entry, ['undoOffset', 'undoLength']);
+		}
+		return entry;
+	});
+
+	saveIndex();
+};
+
+/**
+ * Read a JSON record of a file
+ * @param {string} location
+ * @param {number} offset
+ * @param {number} length
+ * @return {object}
+ * */
+const readRecord = (location, offset, length) => {
+	const buffer = Buffer.alloc(length);
+	const fd = openSync(location, 'r');
+
+	try {
+		readSync(fd, buffer, 0, length, offset);
+	} finally {
+		closeSync(fd);
+	}
+
+	return JSON.parse(buffer.toString('utf8'));
+};
+
+/**
+ * Read one block from the block file
+ * @param {number} height
+ * @return {object}
+ * */
+const readBlock = (height) => {
+	const entry = blockIndex[height];
+	if (entry === undefined) {
+		return null;
+	}
+
+	return readRecord(blocksLocation, entry.offset, entry.length);
+};
+
+/**
+ * Read the undo data of a block - the txOuts it spent
+ * @param {number} height
+ * @return {array} null if there is no undo data for this block
+ * */
+const loadUndo = (height) => {
+	const entry = blockIndex[height];
+	if (entry === undefined || entry.undoOffset === undefined) {
+		return null;
+	}
+
+	try {
+		return readRecord(undoLocation, entry.undoOffset, entry.undoLength);
+	} catch (e) {
+		console.log('could not read the undo data of the block at height: ' + height);
+		return null;
+	}
+};
+
+/**
+ * @return {boolean} true if all the stored blocks have their undo data
+ * */
+const hasUndoData = () => {
+	return blockIndex.every((entry) => entry.undoOffset !== undefined);
+};
+
+/**
+ * Load all the stored blocks, ordered by height
+ * @return {array}
+ * */
+const loadBlocks = () => {
+	try {
+		return blockIndex.map((entry, height) => readBlock(height));
+	} catch (e) {
+		console.log('could not read the block file: ' + e.message);
+		return [];
+	}
+};
+
+/**
+ * Append a JSON record at the end of a file
+ * @param {string} location
+ * @param {object} data
+ * @return {object} { offset, length } of the record
+ * */
+const appendRecord = (location, data) => {
+	const offset = statSync(location).size;
+	const record = JSON.stringify(data);
+
+	appendFileSync(location, record + '\n');
+	return { 'offset': offset, 'length': Buffer.byteLength(record, 'utf8') };
+};
+
+/**
+ * Append blocks at the end of the block file, and their undo data at the end of the undo file
+ * @param {array} blocks
+ * @param {array} undos - the txOuts spent by each block
+ * @return {void}
+ * */
+const appendBlocks = (blocks, undos) => {
+	blocks.forEach((block, i) => {
+		const blockRecord = appendRecord(blocksLocation, block);
+		const undoRecord = appendRecord(undoLocation, undos[i]);
+
+		blockIndex.push({
+			'hash': block.hash,
+			'index': block.index,
+			'offset': blockRecord.offset,
+			'length': blockRecord.length,
+			'undoOffset': undoRecord.offset,
+			'undoLength': undoRecord.length
+		});
+	});
+
+	saveIndex();
+};
+
+/**
+ * Replace the stored blocks from a given height (fork) - the files are truncated at this height then the new blocks are appended
+ * @param {number} fromHeight
+ * @param {array} blocks - the new blocks, starting at fromHeight
+ * @param {array} undos - the txOuts spent by each new block
+ * @return {void}
+ * */
+const replaceBlocks = (fromHeight, blocks, undos) => {
+	const entry = blockIndex[fromHeight];
+
+	if (entry !== undefined) {
+		truncateSync(blocksLocation, entry.offset);
+		if (fromHeight === 0) {
+			truncateSync(undoLocation, 0);
+		} else if (entry.undoOffset !== undefined) {
+			truncateSync(undoLocation, entry.undoOffset);
+		}
+		blockIndex = blockIndex.slice(0, fromHeight);
+	}
+
+	appendBlocks(blocks, undos);
+};
+
+/**
+ * Snapshot of the unspent transaction outputs - tipHash is the hash of the latest block included in the snapshot
+ * @param {array} unspentTxOuts
+ * @param {string} tipHash
+ * @return {void}
+ * */
+const saveUnspentTxOuts = (unspentTxOuts, tipHash) => {
+	writeFileAtomic(unspentTxOutsLocation, JSON.stringify({ 'tipHash': tipHash, 'unspentTxOuts': unspentTxOuts }));
+};
+
+/**
+ * @return {object} the snapshot { tipHash, unspentTxOuts } or null
+ * */
+const loadUnspentTxOuts = () => {
+	if (!existsSync(unspentTxOutsLocation)) {
+		return null;
+	}
+
+	try {
+		return JSON.parse(readFileSync(unspentTxOutsLocation, 'utf8'));
+	} catch (e) {
+		console.log('could not read the unspent txOuts snapshot: ' + e.message);
+		return null;
+	}
+};
+
+/**
+ * @param {array} addresses - the entries of the address book
+ * @return {void}
+ * */
+const savePeers = (addresses) => {
+	writeFileAtomic(peersLocation, JSON.stringify(addresses));
+};
+
+/**
+ * @return {array} the entries of the address book, empty if there is none
+ * */
+const loadPeers = () => {
+	if (!existsSync(peersLocation)) {
+		return [];
+	}
+
+	try {
+		const addresses = JSON.parse(readFileSync(peersLocation, 'utf8'));
+		return addresses instanceof Array ? addresses : [];
+	} catch (e) {
+		console.log('could not read the address book: ' + e.message);
+		return [];
+	}
+};
+
+export { initStorage, loadBlocks, loadUndo, hasUndoData, appendBlocks, replaceBlocks, saveUnspentTxOuts, loadUnspentTxOuts, savePeers, loadPeers, writeFileAtomic };
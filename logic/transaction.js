@@ -1,11 +1,19 @@
 import * as CryptoJS from 'crypto-js';
 import * as ecdsa from 'elliptic';
 import _ from 'lodash';
+import { addressMatchesMultisigRedeem, addressMatchesPublicKey, isLegacyAddress, isMultisigAddress, isScriptAddress, isValidAddress, scriptToAddress } from './address';
+import { addAmounts, isValidAmount } from './amount';
+import { getBlockSubsidy, MAX_SUPPLY } from './emission';
+import { evaluateScript, isValidScript } from './script';
 
 const ec = new ecdsa.ec('secp256k1');
 
-// The coinbase transaction contains only an output, but no inputs - this means that a coinbase transaction adds new coins to circulation :
-const COINBASE_AMOUNT = 50;
+// Time locks - a lockTime below this value is a block height, above it is a unix timestamp
+const LOCKTIME_THRESHOLD = 500000000;
+
+// The txOuts of a coinbase transaction can be spent this number of blocks after their block - a fork can remove the coinbase and all the transactions spending it
+// 0 is a valid value (a test network) - an unset, negative or non-numeric value falls back to 100
+const COINBASE_MATURITY = parseInt(process.env.COINBASE_MATURITY) >= 0 ? parseInt(process.env.COINBASE_MATURITY) : 100;
 
 
 /**
@@ -14,11 +22,15 @@ const COINBASE_AMOUNT = 50;
  * We will update the list of unspent transaction outputs as we process and include the transactions to the blockchain
  * */
 class UnspentTxOut {
-	constructor(txOutId, txOutIndex, address, amount) {
+	constructor(txOutId, txOutIndex, address, amount, blockIndex, relativeLock = 0, script, isCoinbase = false) {
 		this.txOutId = txOutId;
 		this.txOutIndex = txOutIndex;
 		this.address = address;
 		this.amount = amount;
+		this.blockIndex = blockIndex; // height of the block of the transaction
+		this.relativeLock = relativeLock; // in blocks - the txOut can be spent from the height blockIndex + relativeLock
+		this.script = script; // the locking script of the txOut, if any
+		this.isCoinbase = isCoinbase; // txOut of a coinbase transaction - spendable once mature
 	}
 }
 
@@ -26,53 +38,152 @@ class UnspentTxOut {
  * Transaction inputs (The sender, unlock the coin)
  * These unlocked coins are now ‘available’ for the TxOut
  * The signature gives proof that only the user, that has the private-key of the referred public-key ( =address) could have created the transaction
+ * The public key is given when the referred address is a hash of the public key (not needed for a legacy address)
+ * A multisig address is unlocked by its redeem descriptor { m, publicKeys } and at least m signatures of these keys
+ * A txOut locked by a script is unlocked by the script of the txIn (script.js)
  * */
 class TxIn {
 	// public txOutId;
 	// public txOutIndex;
 	// public signature;
+	// public publicKey;
+	// public redeem;
+	// public signatures;
+	// public script;
 }
 
 /**
  * Transaction outputs (The receiver - lock the coin)
  * */
 class TxOut {
-	constructor(address, amount) {
-		this.address = address; // an ECDSA public-key
-		this.amount = amount; // amount of coins
+	constructor(address, amount, relativeLock, script) {
+		this.address = address; // a Base58Check address (hash of an ECDSA public-key) or a legacy ECDSA public-key
+		this.amount = amount; // in base units
+		this.relativeLock = relativeLock; // optional - in blocks, the txOut can only be spent this number of blocks after the block of the transaction
+		this.script = script; // optional - locking script, the address is then the hash of the script
 	}
 }
 
+/**
+ * The optional lockTime is the first block height (or timestamp, from LOCKTIME_THRESHOLD) at which the transaction can be in a block
+ * */
 class Transaction {
 	// public id;
 	// public txIns;
 	// public txOuts;
+	// public lockTime;
+	// public replaceable; // optional - true if a transaction paying more fees can replace it in the transaction pool
 }
 
+/**
+ * ## Serialization
+ * Canonical serialization of a transaction, in hexa - each field is length prefixed, so two different transactions never give the same bytes
+ * - a number of items is 4 bytes (big endian)
+ * - a string is its length in bytes (4 bytes) then its bytes in UTF-8
+ * - a number is serialized as the string of its decimal value
+ * */
+const serializeUInt32 = (n) => ('0000000' + n.toString(16)).slice(-8);
+
+const serializeString = (str) => {
+	const hex = Buffer.from(String(str), 'utf8').toString('hex');
+	return serializeUInt32(hex.length / 2) + hex;
+};
+
+/**
+ * The content of a transaction - without the signatures and the unlocking data of the txIns, they can not change the transaction id
+ * @param {object} transaction
+ * @return {string} in hexa
+ * */
+const serializeTransaction = (transaction) => {
+	const txIns = transaction.txIns.map((txIn) => serializeString(txIn.txOutId) + serializeString(txIn.txOutIndex));
+	const txOuts = transaction.txOuts.map((txOut) => {
+		return serializeString(txOut.address) + serializeString(txOut.amount) + serializeString(txOut.relativeLock || 0) + serializeString(txOut.script || '');
+	});
+
+	return serializeUInt32(txIns.length) + txIns.join('')
+		+ serializeUInt32(txOuts.length) + txOuts.join('')
+		+ serializeString(transaction.lockTime || 0)
+		+ serializeString(transaction.replaceable === true ? 1 : 0);
+};
+
+const sha256Hex = (hex) => CryptoJS.SHA256(CryptoJS.enc.Hex.parse(hex)).toString();
+
 /**
  * Get id of the transaction => create a hash from the contents of the transaction
  * @param {object} transaction
  * @return {string}
  * */
 const getTransactionId = (transaction) => {
-	const txInContent = transaction.txIns
-		.map((txIn) => txIn.txOutId + txIn.txOutIndex)
-		.reduce((a, b) => a + b, '');
+	return sha256Hex(serializeTransaction(transaction));
+};
+
+/**
+ * Signature hash - the data signed by a txIn
+ * It commits to the whole transaction, the position of the txIn and the address and amount of the txOut it spends
+ *
+ * @param {object} transaction
+ * @param {number} txInIndex
+ * @param {object} spentTxOut - the unspent txOut referenced by the txIn
+ * @return {string}
+ * */
+const getSignatureHash = (transaction, txInIndex, spentTxOut) => {
+	return sha256Hex(serializeTransaction(transaction)
+		+ serializeUInt32(txInIndex)
+		+ serializeString(spentTxOut.address)
+		+ serializeString(spentTxOut.amount)
+		+ serializeString(spentTxOut.script || ''));
+};
+
+/**
+ * Time locks - a transaction is final in a block when its lockTime is reached and the relative locks of the txOuts it spends are over
+ * A transaction which is not final stays in the transaction pool until it is
+ *
+ * @param {object} transaction
+ * @param {array} aUnspentTxOuts
+ * @param {number} blockIndex - the height of the block
+ * @param {number} blockTimestamp - the timestamp of the block
+ * @return {boolean}
+ * */
+const isFinalTransaction = (transaction, aUnspentTxOuts, blockIndex, blockTimestamp) => {
+	const lockTime = transaction.lockTime || 0;
+	const lockTimeReached = lockTime < LOCKTIME_THRESHOLD ? lockTime <= blockIndex : lockTime <= blockTimestamp;
 
-	const txOutContent = transaction.txOuts
-		.map((txOut) => txOut.address + txOut.amount)
-		.reduce((a, b) => a + b, '');
+	if (!lockTimeReached) {
+		return false;
+	}
+
+	return transaction.txIns.every((txIn) => {
+		const referencedUTxOut = findUnspentTxOut(txIn.txOutId, txIn.txOutIndex, aUnspentTxOuts);
+		return referencedUTxOut !== undefined && isUnlockedTxOut(referencedUTxOut, blockIndex);
+	});
+};
 
-	return CryptoJS.SHA256(txInContent + txOutContent).toString();
+/**
+ * @param {object} unspentTxOut
+ * @param {number} blockIndex - the height of the block spending the txOut
+ * @return {boolean} true if the relative lock of the txOut is over
+ * */
+const isUnlockedTxOut = (unspentTxOut, blockIndex) => {
+	return unspentTxOut.blockIndex + (unspentTxOut.relativeLock || 0) <= blockIndex;
+};
+
+/**
+ * @param {object} unspentTxOut
+ * @param {number} blockIndex - the height of the block spending the txOut
+ * @return {boolean} false for a coinbase txOut of less than COINBASE_MATURITY blocks
+ * */
+const isMatureTxOut = (unspentTxOut, blockIndex) => {
+	return !unspentTxOut.isCoinbase || unspentTxOut.blockIndex + COINBASE_MATURITY <= blockIndex;
 };
 
 /**
  * Validate Transaction
  * @param {object} transaction
  * @param {array} aUnspentTxOuts
+ * @param {number} blockIndex - the height of the block including the transaction
  * @return {boolean}
  * */
-const validateTransaction = (transaction, aUnspentTxOuts) => {
+const validateTransaction = (transaction, aUnspentTxOuts, blockIndex) => {
 	if (!isValidTransactionStructure(transaction)) {
 		return false;
 	}
@@ -83,7 +194,7 @@ const validateTransaction = (transaction, aUnspentTxOuts) => {
 	}
 
 	const hasValidTxIns = transaction.txIns
-		.map((txIn) => validateTxIn(txIn, transaction, aUnspentTxOuts))
+		.map((txIn, txInIndex) => validateTxIn(txIn, txInIndex, transaction, aUnspentTxOuts, blockIndex))
 		.reduce((a, b) => a && b, true);
 
 	if (!hasValidTxIns) {
@@ -91,17 +202,18 @@ const validateTransaction = (transaction, aUnspentTxOuts) => {
 		return false;
 	}
 
-	// The sums of the values specified in the outputs must be equal to the sums of the values specified in the inputs
-	const totalTxInValues = transaction.txIns
-		.map((txIn) => getTxInAmount(txIn, aUnspentTxOuts))
-		.reduce((a, b) => (a + b), 0);
+	// The sums of the values specified in the outputs must not exceed the sums of the values specified in the inputs
+	const totalTxInValues = addAmounts(transaction.txIns.map((txIn) => getTxInAmount(txIn, aUnspentTxOuts)));
+	const totalTxOutValues = addAmounts(transaction.txOuts.map((txOut) => txOut.amount));
 
-	const totalTxOutValues = transaction.txOuts
-		.map((txOut) => txOut.amount)
-		.reduce((a, b) => (a + b), 0);
+	if (totalTxInValues === null || totalTxOutValues === null || totalTxOutValues > MAX_SUPPLY) {
+		console.log('the sum of the amounts overflows in tx: ' + transaction.id);
+		return false;
+	}
 
-	if (totalTxOutValues !== totalTxInValues) {
-		console.log('totalTxOutValues !== totalTxInValues in tx: ' + transaction.id);
+	// The difference between the inputs and the outputs is the fee, collected by the miner of the block
+	if (totalTxOutValues > totalTxInValues) {
+		console.log('totalTxOutValues > totalTxInValues in tx: ' + transaction.id);
 		return false;
 	}
 
@@ -113,12 +225,13 @@ const validateTransaction = (transaction, aUnspentTxOuts) => {
  * @param {array} aTransactions
  * @param {array} aUnspentTxOuts
  * @param {number} blockIndex
+ * @param {number} blockTimestamp
  * @return {boolean}
  * */
-const validateBlockTransactions = (aTransactions, aUnspentTxOuts, blockIndex) => {
+const validateBlockTransactions = (aTransactions, aUnspentTxOuts, blockIndex, blockTimestamp) => {
 	const coinbaseTx = aTransactions[0];
-	if (!validateCoinbaseTx(coinbaseTx, blockIndex)) {
-		console.log('invalid coinbase transaction: ' + JSON.stringify(coinbaseTx));
+	if (coinbaseTx == null) {
+		console.log('the first transaction in the block must be coinbase transaction');
 		return false;
 	}
 
@@ -132,11 +245,50 @@ const validateBlockTransactions = (aTransactions, aUnspentTxOuts, blockIndex) =>
 		return false;
 	}
 
-	// all but coinbase transactions
+	// all but coinbase transactions - they are validated in the order of the block, a transaction can spend the txOuts of a previous one
 	const normalTransactions = aTransactions.slice(1);
+	let currentUnspentTxOuts = aUnspentTxOuts;
+	let fees = 0;
+
+	for (const tx of normalTransactions) {
+		if (!validateTransaction(tx, currentUnspentTxOuts, blockIndex)) {
+			return false;
+		}
+
+		if (!isFinalTransaction(tx, currentUnspentTxOuts, blockIndex, blockTimestamp)) {
+			console.log('the transaction is time locked in block %d: %s', blockIndex, tx.id);
+			return false;
+		}
+
+		// the miner of the block collects the fees of all the transactions in the coinbase transaction
+		fees = fees + getTransactionFee(tx, currentUnspentTxOuts);
+		currentUnspentTxOuts = applyTransaction(tx, currentUnspentTxOuts, blockIndex);
+	}
 
-	return normalTransactions.map((tx) => validateTransaction(tx, aUnspentTxOuts))
-		.reduce((a, b) => (a && b), true);
+	if (!validateCoinbaseTx(coinbaseTx, blockIndex, fees)) {
+		console.log('invalid coinbase transaction: ' + JSON.stringify(coinbaseTx));
+		return false;
+	}
+
+	return true;
+};
+
+/**
+ * Get the fee of a transaction - the difference between the inputs and the outputs
+ * @param {object} transaction
+ * @param {array} aUnspentTxOuts
+ * @return {number}
+ * */
+const getTransactionFee = (transaction, aUnspentTxOuts) => {
+	const totalTxInValues = transaction.txIns
+		.map((txIn) => getTxInAmount(txIn, aUnspentTxOuts))
+		.reduce((a, b) => (a + b), 0);
+
+	const totalTxOutValues = transaction.txOuts
+		.map((txOut) => txOut.amount)
+		.reduce((a, b) => (a + b), 0);
+
+	return totalTxInValues - totalTxOutValues;
 };
 
 /**
@@ -162,9 +314,10 @@ const hasDuplicates = (txIns) => {
  * Transactions validation - The validation of the coinbase transaction differs slightly from the validation of a “normal” transaction
  * @param {object} transaction
  * @param {number} blockIndex
+ * @param {number} fees - the sum of the fees of the other transactions of the block
  * @return {boolean}
  * */
-const validateCoinbaseTx = (transaction, blockIndex) => {
+const validateCoinbaseTx = (transaction, blockIndex, fees) => {
 	if (transaction == null) {
 		console.log('the first transaction in the block must be coinbase transaction');
 		return false;
@@ -190,8 +343,8 @@ const validateCoinbaseTx = (transaction, blockIndex) => {
 		return false;
 	}
 
-	if (transaction.txOuts[0].amount !== COINBASE_AMOUNT) {
-		console.log('invalid coinbase amount in coinbase transaction');
+	if (transaction.txOuts[0].amount !== getBlockSubsidy(blockIndex) + fees) {
+		console.log('invalid coinbase amount in coinbase transaction, expected subsidy: ' + getBlockSubsidy(blockIndex));
 		return false;
 	}
 
@@ -201,11 +354,13 @@ const validateCoinbaseTx = (transaction, blockIndex) => {
 /**
  * Transactions validation - The signatures in the txIns must be valid
  * @param {object} txIn
+ * @param {number} txInIndex
  * @param {object} transaction
  * @param {array} aUnspentTxOuts
+ * @param {number} blockIndex - the height of the block including the transaction
  * @return {boolean}
  * */
-const validateTxIn = (txIn, transaction, aUnspentTxOuts) => {
+const validateTxIn = (txIn, txInIndex, transaction, aUnspentTxOuts, blockIndex) => {
 	const referencedUTxOut = aUnspentTxOuts.find((uTxO) => uTxO.txOutId === txIn.txOutId && uTxO.txOutIndex === txIn.txOutIndex);
 
 	if (referencedUTxOut == null) {
@@ -213,11 +368,30 @@ const validateTxIn = (txIn, transaction, aUnspentTxOuts) => {
 		return false;
 	}
 
+	if (!isMatureTxOut(referencedUTxOut, blockIndex)) {
+		console.log('the coinbase txOut can be spent from the height %d, txId: %s', referencedUTxOut.blockIndex + COINBASE_MATURITY, transaction.id);
+		return false;
+	}
+
 	const address = referencedUTxOut.address;
-	const key = ec.keyFromPublic(address, 'hex');
-	const validSignature = key.verify(transaction.id, txIn.signature);
+	const signatureHash = getSignatureHash(transaction, txInIndex, referencedUTxOut);
+
+	if (referencedUTxOut.script !== undefined) {
+		return typeof txIn.script === 'string' && evaluateScript(txIn.script, referencedUTxOut.script, transaction, signatureHash);
+	}
+
+	if (isMultisigAddress(address)) {
+		return validateMultisigTxIn(txIn, transaction, address, signatureHash);
+	}
+
+	const publicKey = isLegacyAddress(address) ? address : txIn.publicKey;
 
-	if (!validSignature) {
+	if (publicKey === undefined || !addressMatchesPublicKey(address, publicKey)) {
+		console.log('the public key of the txIn does not match the address: %s txId: %s', address, transaction.id);
+		return false;
+	}
+
+	if (!verifySignature(publicKey, signatureHash, txIn.signature)) {
 		console.log('invalid txIn signature: %s txId: %s address: %s', txIn.signature, transaction.id, referencedUTxOut.address);
 		return false;
 	}
@@ -225,6 +399,107 @@ const validateTxIn = (txIn, transaction, aUnspentTxOuts) => {
 	return true;
 };
 
+/**
+ * Transactions validation - a txIn spending a multisig address needs m valid signatures of distinct public keys of its redeem descriptor
+ * @param {object} txIn
+ * @param {object} transaction
+ * @param {string} address - the multisig address of the referenced txOut
+ * @param {string} signatureHash - the data signed by the txIn
+ * @return {boolean}
+ * */
+const validateMultisigTxIn = (txIn, transaction, address, signatureHash) => {
+	if (!addressMatchesMultisigRedeem(address, txIn.redeem)) {
+		console.log('the redeem of the txIn does not match the multisig address: %s txId: %s', address, transaction.id);
+		return false;
+	}
+
+	const { m, publicKeys } = txIn.redeem;
+
+	if (txIn.signatures === undefined || txIn.signatures.length > publicKeys.length) {
+		console.log('invalid number of signatures in multisig txIn: %s txId: %s', address, transaction.id);
+		return false;
+	}
+
+	// each public key is counted once, whatever the number of its signatures
+	const signedPublicKeys = publicKeys.filter((publicKey) => {
+		return txIn.signatures.some((signature) => verifySignature(publicKey, signatureHash, signature));
+	});
+
+	if (signedPublicKeys.length < m) {
+		console.log('%d valid signatures in multisig txIn, %d needed: %s txId: %s', signedPublicKeys.length, m, address, transaction.id);
+		return false;
+	}
+
+	return true;
+};
+
+/**
+ * Strict DER encoding of an integer of a signature - positive, without useless leading zero
+ * @param {string} hex
+ * @param {number} offset - position of the 02 marker
+ * @return {number} the position after the integer, -1 if it is not strictly encoded
+ * */
+const parseDERInteger = (hex, offset) => {
+	if (hex.slice(offset, offset + 2) !== '02') {
+		return -1;
+	}
+
+	const length = parseInt(hex.slice(offset + 2, offset + 4), 16);
+	const value = hex.slice(offset + 4, offset + 4 + length * 2);
+
+	if (!(length > 0 && length <= 33) || value.length !== length * 2 || parseInt(value.slice(0, 2), 16) >= 0x80
+		|| (value.startsWith('00') && length > 1 && parseInt(value.slice(2, 4), 16) < 0x80)) {
+		return -1;
+	}
+
+	return offset + 4 + length * 2;
+};
+
+/**
+ * Malleability - a signature must be strictly DER encoded and its s value in the lower half of the curve order (low-S)
+ * (r, n - s) is also a valid signature, only one of both is accepted
+ *
+ * @param {string} signature - DER, in hexa
+ * @return {boolean}
+ * */
+const isCanonicalSignature = (signature) => {
+	if (typeof signature !== 'string' || signature.match('^([a-f0-9]{2})+$') === null || !signature.startsWith('30')) {
+		return false;
+	}
+
+	if (parseInt(signature.slice(2, 4), 16) * 2 !== signature.length - 4) {
+		return false;
+	}
+
+	const sOffset = parseDERInteger(signature, 4);
+	if (sOffset === -1 || parseDERInteger(signature, sOffset) !== signature.length) {
+		return false;
+	}
+
+	const s = signature.slice(sOffset + 4).replace(/^0+/, '');
+	const halfOrder = ec.nh.toString(16);
+
+	return s.length < halfOrder.length || (s.length === halfOrder.length && s <= halfOrder);
+};
+
+/**
+ * @param {string} publicKey - in hexa
+ * @param {string} signatureHash - the signed data
+ * @param {string} signature - DER, in hexa
+ * @return {boolean}
+ * */
+const verifySignature = (publicKey, signatureHash, signature) => {
+	if (!isCanonicalSignature(signature)) {
+		return false;
+	}
+
+	try {
+		return ec.keyFromPublic(publicKey, 'hex').verify(signatureHash, signature);
+	} catch (e) {
+		return false;
+	}
+};
+
 /**
  * Get TxIn Amount
  * @param {object} txIn
@@ -248,11 +523,13 @@ const findUnspentTxOut = (transactionId, index, aUnspentTxOuts) => {
 
 /**
  * Get Coinbase Transaction
+ * The coinbase transaction contains only an output, but no inputs - this means that a coinbase transaction adds new coins to circulation (the subsidy of the emission schedule)
  * @param {string} address
  * @param {number} blockIndex
+ * @param {number} fees - the sum of the fees of the other transactions of the block
  * @return {object}
  * */
-const getCoinbaseTransaction = (address, blockIndex) => {
+const getCoinbaseTransaction = (address, blockIndex, fees = 0) => {
 	const t = new Transaction();
 	const txIn = new TxIn();
 	txIn.signature = '';
@@ -260,7 +537,7 @@ const getCoinbaseTransaction = (address, blockIndex) => {
 	txIn.txOutIndex = blockIndex;
 
 	t.txIns = [txIn];
-	t.txOuts = [new TxOut(address, COINBASE_AMOUNT)];
+	t.txOuts = [new TxOut(address, getBlockSubsidy(blockIndex) + fees)];
 	t.id = getTransactionId(t);
 
 	return t;
@@ -269,6 +546,7 @@ const getCoinbaseTransaction = (address, blockIndex) => {
 /**
  * Validate the Transaction Input
  * For make the contents of the transaction cannot be modified after it has been signed
+ * The signature hash of the txIn is signed, with a low-S signature
  *
  * @param {object} transaction
  * @param {number} txInIndex
@@ -279,7 +557,6 @@ const getCoinbaseTransaction = (address, blockIndex) => {
  * */
 const signTxIn = (transaction, txInIndex, privateKey, aUnspentTxOuts) => {
 	const txIn = transaction.txIns[txInIndex];
-	const dataToSign = transaction.id;
 	const referencedUnspentTxOut = findUnspentTxOut(txIn.txOutId, txIn.txOutIndex, aUnspentTxOuts);
 
 	if (referencedUnspentTxOut == null) {
@@ -289,46 +566,90 @@ const signTxIn = (transaction, txInIndex, privateKey, aUnspentTxOuts) => {
 
 	const referencedAddress = referencedUnspentTxOut.address;
 
-	if (getPublicKey(privateKey) !== referencedAddress) {
+	// the locking script of a script address decides which keys can sign
+	if (isMultisigAddress(referencedAddress)) {
+		const compressedPublicKey = ec.keyFromPrivate(privateKey, 'hex').getPublic(true, 'hex');
+
+		if (!addressMatchesMultisigRedeem(referencedAddress, txIn.redeem) || !txIn.redeem.publicKeys.includes(compressedPublicKey)) {
+			console.log('trying to sign a multisig input with a private key that is not in its redeem');
+			throw Error();
+		}
+	} else if (!isScriptAddress(referencedAddress) && !addressMatchesPublicKey(referencedAddress, getPublicKey(privateKey))) {
 		console.log('trying to sign an input with private' +
 			' key that does not match the address that is referenced in txIn');
 		throw Error();
 	}
 
+	const dataToSign = getSignatureHash(transaction, txInIndex, referencedUnspentTxOut);
 	const key = ec.keyFromPrivate(privateKey, 'hex');
-	const signature = toHexString(key.sign(dataToSign).toDER());
+	const signature = toHexString(key.sign(dataToSign, { 'canonical': true }).toDER());
 
 	return signature;
 };
 
+/**
+ * Apply a transaction to unspent txOuts - the txOuts it consumes are removed and its txOuts are added
+ *
+ * @param {object} transaction
+ * @param {array} aUnspentTxOuts
+ * @param {number} blockIndex - the height of the block of the transaction
+ * @param {boolean} isCoinbase
+ * @return {array}
+ * */
+const applyTransaction = (transaction, aUnspentTxOuts, blockIndex, isCoinbase = false) => {
+	const newUnspentTxOuts = transaction.txOuts.map((txOut, index) => {
+		return new UnspentTxOut(transaction.id, index, txOut.address, txOut.amount, blockIndex, txOut.relativeLock || 0, txOut.script, isCoinbase);
+	});
+
+	return aUnspentTxOuts
+		.filter((uTxO) => !transaction.txIns.some((txIn) => txIn.txOutId === uTxO.txOutId && txIn.txOutIndex === uTxO.txOutIndex))
+		.concat(newUnspentTxOuts);
+};
+
 /**
  * update Unspent TxOuts
+ * Every time a new block is added to the chain, we must update our list of unspent transaction outputs
+ * The transactions are applied in the order of the block - the first transaction of the block is the coinbase
  *
  * @param {array} aTransactions
  * @param {array} aUnspentTxOuts
+ * @param {number} blockIndex
  * @return {array}
  * */
-const updateUnspentTxOuts = (aTransactions, aUnspentTxOuts) => {
-	// Every time a new block is added to the chain, we must update our list of unspent transaction outputs
-	// Get all new unspent transaction outputs from the new block
-	const newUnspentTxOuts = aTransactions
-		.map((t) => {
-			return t.txOuts.map((txOut, index) => new UnspentTxOut(t.id, index, txOut.address, txOut.amount));
-		})
-		.reduce((a, b) => a.concat(b), []);
+const updateUnspentTxOuts = (aTransactions, aUnspentTxOuts, blockIndex) => {
+	return aTransactions.reduce((resultingUnspentTxOuts, t, txIndex) => applyTransaction(t, resultingUnspentTxOuts, blockIndex, txIndex === 0), aUnspentTxOuts);
+};
 
-	// Get all transaction outputs are consumed by the new transactions of the block
-	const consumedTxOuts = aTransactions
+/**
+ * Undo data of a block - the unspent txOuts consumed by its transactions
+ *
+ * @param {array} aTransactions
+ * @param {array} aUnspentTxOuts - before the transactions are processed
+ * @return {array}
+ * */
+const getSpentTxOuts = (aTransactions, aUnspentTxOuts) => {
+	return aTransactions
 		.map((t) => t.txIns)
 		.reduce((a, b) => a.concat(b), [])
-		.map((txIn) => new UnspentTxOut(txIn.txOutId, txIn.txOutIndex, '', 0));
+		.map((txIn) => findUnspentTxOut(txIn.txOutId, txIn.txOutIndex, aUnspentTxOuts))
+		.filter((uTxO) => uTxO !== undefined);
+};
 
-	// We generate the new unspent transaction outputs by removing the consumedTxOuts and adding the newUnspentTxOuts to our existing transaction outputs
-	const resultingUnspentTxOuts = aUnspentTxOuts
-		.filter(((uTxO) => !findUnspentTxOut(uTxO.txOutId, uTxO.txOutIndex, consumedTxOuts)))
-		.concat(newUnspentTxOuts);
+/**
+ * Roll back the transactions of a block - the txOuts it created are removed and the txOuts it spent are unspent again
+ *
+ * @param {array} aTransactions
+ * @param {array} spentTxOuts - the undo data of the block
+ * @param {array} aUnspentTxOuts
+ * @return {array}
+ * */
+const rollbackTransactions = (aTransactions, spentTxOuts, aUnspentTxOuts) => {
+	const txIds = aTransactions.map((t) => t.id);
+	const restoredTxOuts = spentTxOuts.map((uTxO) => new UnspentTxOut(uTxO.txOutId, uTxO.txOutIndex, uTxO.address, uTxO.amount, uTxO.blockIndex, uTxO.relativeLock, uTxO.script, uTxO.isCoinbase));
 
-	return resultingUnspentTxOuts;
+	return aUnspentTxOuts
+		.filter((uTxO) => !txIds.includes(uTxO.txOutId))
+		.concat(restoredTxOuts);
 };
 
 /**
@@ -337,15 +658,16 @@ const updateUnspentTxOuts = (aTransactions, aUnspentTxOuts) => {
  * @param {array} aTransactions
  * @param {array} aUnspentTxOuts
  * @param {number} blockIndex
+ * @param {number} blockTimestamp
  * @return {mixed}
  * */
-const processTransactions = (aTransactions, aUnspentTxOuts, blockIndex) => {
-	if (!validateBlockTransactions(aTransactions, aUnspentTxOuts, blockIndex)) {
+const processTransactions = (aTransactions, aUnspentTxOuts, blockIndex, blockTimestamp) => {
+	if (!validateBlockTransactions(aTransactions, aUnspentTxOuts, blockIndex, blockTimestamp)) {
 		console.log('invalid block transactions');
 		return null;
 	}
 
-	return updateUnspentTxOuts(aTransactions, aUnspentTxOuts);
+	return updateUnspentTxOuts(aTransactions, aUnspentTxOuts, blockIndex);
 };
 
 /**
@@ -377,15 +699,24 @@ const isValidTxInStructure = (txIn) => {
 	if (txIn == null) {
 		console.log('txIn is null');
 		return false;
-	} else if (typeof txIn.signature !== 'string') {
+	} else if (txIn.signatures === undefined && txIn.script === undefined && typeof txIn.signature !== 'string') {
 		console.log('invalid signature type in txIn');
 		return false;
+	} else if (txIn.signatures !== undefined && !(txIn.signatures instanceof Array && txIn.signatures.every((signature) => typeof signature === 'string'))) {
+		console.log('invalid signatures type in txIn');
+		return false;
 	} else if (typeof txIn.txOutId !== 'string') {
 		console.log('invalid txOutId type in txIn');
 		return false;
 	} else if (typeof  txIn.txOutIndex !== 'number') {
 		console.log('invalid txOutIndex type in txIn');
 		return false;
+	} else if (txIn.publicKey !== undefined && typeof txIn.publicKey !== 'string') {
+		console.log('invalid publicKey type in txIn');
+		return false;
+	} else if (txIn.script !== undefined && typeof txIn.script !== 'string') {
+		console.log('invalid script type in txIn');
+		return false;
 	} else {
 		return true;
 	}
@@ -406,14 +737,39 @@ const isValidTxOutStructure = (txOut) => {
 	} else if (!isValidAddress(txOut.address)) {
 		console.log('invalid TxOut address');
 		return false;
-	} else if (typeof txOut.amount !== 'number') {
-		console.log('invalid amount type in txOut');
+	} else if (!isValidTxOutAmount(txOut.amount)) {
+		console.log('invalid amount in txOut, it must be a positive integer number of base units up to the max supply: ' + txOut.amount);
+		return false;
+	} else if (txOut.relativeLock !== undefined && !isValidLock(txOut.relativeLock)) {
+		console.log('invalid relativeLock in txOut');
+		return false;
+	} else if (txOut.script !== undefined && (!isValidScript(txOut.script) || scriptToAddress(txOut.script) !== txOut.address)) {
+		console.log('invalid script in txOut, the address must be the hash of the script');
+		return false;
+	} else if (txOut.script === undefined && isScriptAddress(txOut.address)) {
+		console.log('the txOut to a script address must carry its script');
 		return false;
 	} else {
 		return true;
 	}
 };
 
+/**
+ * The amount of a txOut is strictly positive and bounded - a negative txOut would create coins, the other txOuts taking its value
+ * The amount of the coinbase txOut is checked against the emission schedule
+ * @param {number} amount - in base units
+ * @return {boolean}
+ * */
+const isValidTxOutAmount = (amount) => {
+	return isValidAmount(amount) && amount > 0 && amount <= MAX_SUPPLY;
+};
+
+/**
+ * @param {number} lock - a lockTime or a relative lock
+ * @return {boolean}
+ * */
+const isValidLock = (lock) => Number.isSafeInteger(lock) && lock >= 0;
+
 /**
  * Transactions validation - Correct transaction structure
  * @param {object} transaction
@@ -425,6 +781,16 @@ const isValidTransactionStructure = (transaction) => {
 		return false;
 	}
 
+	if (transaction.lockTime !== undefined && !isValidLock(transaction.lockTime)) {
+		console.log('invalid lockTime in transaction');
+		return false;
+	}
+
+	if (transaction.replaceable !== undefined && typeof transaction.replaceable !== 'boolean') {
+		console.log('invalid replaceable flag in transaction');
+		return false;
+	}
+
 	if (!(transaction.txIns instanceof Array)) {
 		console.log('invalid txIns type in transaction');
 		return false;
@@ -448,25 +814,4 @@ const isValidTransactionStructure = (transaction) => {
 	return true;
 };
 
-/**
- * Transactions validation - valid address is a valid ecdsa public key in the 04 + X-coordinate + Y-coordinate format
- * @param {string} address
- * @return {boolean}
- * */
-const isValidAddress = (address) => {
-	if (address.length !== 130) {
-		console.log(address);
-		console.log('invalid public key length');
-		return false;
-	} else if (address.match('^[a-fA-F0-9]+$') === null) {
-		console.log('public key must contain only hex characters');
-		return false;
-	} else if (!address.startsWith('04')) {
-		console.log('public key must start with 04');
-		return false;
-	}
-
-	return true;
-};
-
-export { processTransactions, signTxIn, getTransactionId, isValidAddress, validateTransaction, UnspentTxOut, TxIn, TxOut, getCoinbaseTransaction, getPublicKey, hasDuplicates, Transaction };
+export { COINBASE_MATURITY, LOCKTIME_THRESHOLD, applyTransaction, isFinalTransaction, isMatureTxOut, isUnlockedTxOut, processTransactions, getSpentTxOuts, rollbackTransactions, signTxIn, verifySignature, getTransactionId, getTransactionFee, isValidTxOutAmount, isValidTxOutStructure, validateTransaction, UnspentTxOut, TxIn, TxOut, getCoinbaseTransaction, getPublicKey, hasDuplicates, Transaction };
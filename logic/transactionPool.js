@@ -1,7 +1,24 @@
 import _ from 'lodash';
-import { validateTransaction } from './transaction';
+import { ACCEPT_LEGACY_ADDRESSES, isLegacyAddress } from './address';
+import { toBaseUnits } from './amount';
+import { applyTransaction, getTransactionFee, isFinalTransaction, isMatureTxOut, UnspentTxOut, validateTransaction } from './transaction';
 
+// Policy - the txOuts below this amount (in coins) cost more to spend than they are worth, the transactions creating them are not relayed
+const DUST_THRESHOLD = toBaseUnits(process.env.DUST_THRESHOLD || 0.00000546);
+
+// Policy - the size of the pool is bounded, the transactions paying the lowest fee rate are evicted first
+const MAX_POOL_TRANSACTIONS = parseInt(process.env.MEMPOOL_MAX_TRANSACTIONS) || 5000;
+const MAX_POOL_SIZE = parseInt(process.env.MEMPOOL_MAX_SIZE) || 5000000; // in bytes
+const POOL_EXPIRY = parseInt(process.env.MEMPOOL_EXPIRY) || 72 * 60 * 60; // in seconds - a transaction not mined after this delay is removed
+
+/**
+ * The transactions of the pool are kept in the order they were added - a transaction spending the txOuts of another one of the pool (its parent) comes after it
+ * When a transaction leaves the pool, the transactions depending on it leave with it
+ * */
 let transactionPool = [];
+let poolEntryTimes = {}; // transaction id => time it was added to the pool, in seconds
+
+const getCurrentTime = () => Math.round(new Date().getTime() / 1000);
 
 /**
  * Transaction pool is a structure that contains all of the “unconfirmed transactions” our node know
@@ -10,97 +27,348 @@ const getTransactionPool = () => {
 	return _.cloneDeep(transactionPool);
 };
 
+/**
+ * The unspent txOuts once the transactions of the pool are applied - the txOuts spent by the pool are removed, the txOuts of the pool are added
+ * The txOuts of the pool are counted as if they were in the next block
+ * @param {array} unspentTxOuts - confirmed
+ * @param {number} blockIndex - the height of the next block
+ * @param {array} aTransactionPool
+ * @return {array}
+ * */
+const getPoolUnspentTxOuts = (unspentTxOuts, blockIndex, aTransactionPool = transactionPool) => {
+	return aTransactionPool.reduce((aUnspentTxOuts, tx) => applyTransaction(tx, aUnspentTxOuts, blockIndex), unspentTxOuts);
+};
+
+/**
+ * The txOuts a transaction of the pool can spend - confirmed or created by the pool, spent or not - to get the fees of the transactions of the pool
+ * The txOuts of the pool are counted as if they were in the next block
+ * @param {array} unspentTxOuts
+ * @param {number} blockIndex - the height of the next block
+ * @return {array}
+ * */
+const getKnownTxOuts = (unspentTxOuts, blockIndex) => {
+	const poolTxOuts = _.flatMap(transactionPool, (tx) => tx.txOuts.map((txOut, index) => {
+		return new UnspentTxOut(tx.id, index, txOut.address, txOut.amount, blockIndex, txOut.relativeLock || 0, txOut.script);
+	}));
+	return unspentTxOuts.concat(poolTxOuts);
+};
+
 /**
  * Add transaction to the Pool
+ * A time locked transaction is kept in the pool, it is included in a block once it is final
+ * A transaction spending an immature coinbase txOut is refused
+ * A transaction can spend the txOuts of the transactions of the pool
+ * A transaction spending the same txOuts as replaceable transactions of the pool replaces them if it pays more fees
  * @param {object} tx
  * @param {array} unspentTxOuts
+ * @param {number} blockIndex - the height of the next block
  * */
-const addToTransactionPool = (tx, unspentTxOuts) => {
-	if (!validateTransaction(tx, unspentTxOuts)) {
+const addToTransactionPool = (tx, unspentTxOuts, blockIndex) => {
+	expireTransactions(unspentTxOuts, blockIndex);
+
+	// the transaction is validated without the transactions it replaces
+	const replacedTxs = getWithDescendants(getConflictingTxs(tx, transactionPool));
+	const poolUnspentTxOuts = getPoolUnspentTxOuts(unspentTxOuts, blockIndex, _.difference(transactionPool, replacedTxs));
+
+	if (!validateTransaction(tx, poolUnspentTxOuts, blockIndex)) {
 		throw Error('Trying to add invalid tx to pool');
 	}
 
-	if (!isValidTxForPool(tx, transactionPool)) {
+	if (!isValidTxForPool(tx, transactionPool, getKnownTxOuts(unspentTxOuts, blockIndex))) {
 		throw Error('Trying to add invalid tx to pool');
 	}
 
+	// the pool is put back as it was if the transaction is evicted right away
+	const previousPool = transactionPool;
+	const previousEntryTimes = poolEntryTimes;
+
+	if (replacedTxs.length > 0) {
+		console.log('replacing in txPool: %s by %s', replacedTxs.map((replacedTx) => replacedTx.id).join(', '), tx.id);
+		removeTxs(replacedTxs);
+	}
+
 	console.log('adding to txPool: %s', JSON.stringify(tx));
-	transactionPool.push(tx);
+	transactionPool = transactionPool.concat([tx]);
+	poolEntryTimes = { ...poolEntryTimes, [tx.id]: getCurrentTime() };
+
+	trimTransactionPool(unspentTxOuts, blockIndex);
+	if (!transactionPool.includes(tx)) {
+		transactionPool = previousPool;
+		poolEntryTimes = previousEntryTimes;
+		throw Error('the transaction pool is full, the fee rate of the transaction is too low: ' + tx.id);
+	}
 };
 
 /**
- *
- * @param {object} txIn
+ * The transactions and the transactions of the pool spending their txOuts, recursively
+ * A child comes after its parent in the pool, one pass is enough
+ * @param {array} txs - transactions of the pool
+ * @return {array}
+ * */
+const getWithDescendants = (txs) => {
+	const ids = txs.map((tx) => tx.id);
+
+	for (const tx of transactionPool) {
+		if (!ids.includes(tx.id) && tx.txIns.some((txIn) => ids.includes(txIn.txOutId))) {
+			ids.push(tx.id);
+		}
+	}
+
+	return transactionPool.filter((tx) => ids.includes(tx.id));
+};
+
+/**
+ * @param {array} txs - transactions of the pool, the transactions depending on them are removed too
+ * @return {void}
+ * */
+const removeTxs = (txs) => {
+	const removedTxs = getWithDescendants(txs);
+
+	if (removedTxs.length > txs.length) {
+		console.log('removing the dependent transactions from txPool: %s', _.difference(removedTxs, txs).map((tx) => tx.id).join(', '));
+	}
+
+	dropTxs(removedTxs);
+};
+
+/**
+ * @param {array} txs - transactions of the pool, the transactions depending on them stay
+ * @return {void}
+ * */
+const dropTxs = (txs) => {
+	transactionPool = _.difference(transactionPool, txs);
+	poolEntryTimes = _.omit(poolEntryTimes, txs.map((tx) => tx.id));
+};
+
+/**
+ * Remove a transaction (and the transactions spending its txOuts) from our pool - the peers still have it
+ * @param {string} txId
+ * @return {object} the removed transaction
+ * */
+const removeFromTransactionPool = (txId) => {
+	const tx = transactionPool.find((aTx) => aTx.id === txId);
+
+	if (tx === undefined) {
+		throw Error('transaction not found in the transaction pool: ' + txId);
+	}
+
+	console.log('removing from txPool: %s', txId);
+	removeTxs([tx]);
+	return _.cloneDeep(tx);
+};
+
+/**
+ * Remove the transactions which stayed in the pool longer than POOL_EXPIRY
+ * A time locked transaction waits in the pool - its delay starts once it is final
  * @param {array} unspentTxOuts
- * @return {boolean}
+ * @param {number} blockIndex - the height of the next block
+ * @return {void}
  * */
-const hasTxIn = (txIn, unspentTxOuts) => {
-	const foundTxIn = unspentTxOuts.find((uTxO) => {
-		return uTxO.txOutId === txIn.txOutId && uTxO.txOutIndex === txIn.txOutIndex;
-	});
-	return foundTxIn !== undefined;
+const expireTransactions = (unspentTxOuts, blockIndex) => {
+	const knownTxOuts = getKnownTxOuts(unspentTxOuts, blockIndex);
+
+	// the transactions spending the txOuts of a time locked transaction wait with it
+	getWithDescendants(transactionPool.filter((tx) => !isFinalTransaction(tx, knownTxOuts, blockIndex, getCurrentTime())))
+		.forEach((tx) => {
+			poolEntryTimes[tx.id] = getCurrentTime();
+		});
+
+	const expiredTxs = transactionPool.filter((tx) => poolEntryTimes[tx.id] + POOL_EXPIRY < getCurrentTime());
+
+	if (expiredTxs.length > 0) {
+		console.log('expired transactions removed from txPool: %s', expiredTxs.map((tx) => tx.id).join(', '));
+		removeTxs(expiredTxs);
+	}
+};
+
+/**
+ * Evict the transactions paying the lowest fee rate until the pool is within its limits
+ * @param {array} unspentTxOuts
+ * @param {number} blockIndex - the height of the next block
+ * @return {void}
+ * */
+const trimTransactionPool = (unspentTxOuts, blockIndex) => {
+	const knownTxOuts = getKnownTxOuts(unspentTxOuts, blockIndex);
+	const feeRates = _.fromPairs(transactionPool.map((tx) => [tx.id, getFeeRate(tx, knownTxOuts)]));
+	const sizes = _.fromPairs(transactionPool.map((tx) => [tx.id, getTransactionSize(tx)]));
+	const evictedTxs = [];
+
+	while (transactionPool.length > MAX_POOL_TRANSACTIONS || _.sumBy(transactionPool, (tx) => sizes[tx.id]) > MAX_POOL_SIZE) {
+		const tx = _.minBy(transactionPool, (aTx) => feeRates[aTx.id]);
+		evictedTxs.push(tx);
+		removeTxs([tx]);
+	}
+
+	if (evictedTxs.length > 0) {
+		console.log('the txPool is full, evicted transactions: %s', evictedTxs.map((tx) => tx.id).join(', '));
+	}
 };
 
 /**
  * We must revalidate the transaction pool every time a new block is found
+ * The transactions are checked in the order of the pool, a transaction stays if the txOuts it spends are unspent or created by the pool
+ * A mined parent leaves the pool alone - its children now spend confirmed txOuts. The children of a double spent parent are found invalid in turn
  *
  * @param {array} unspentTxOuts
- * @return {boolean}
+ * @param {number} blockIndex - the height of the next block
+ * @return {void}
  * */
-const updateTransactionPool = (unspentTxOuts) => {
+const updateTransactionPool = (unspentTxOuts, blockIndex) => {
 	const invalidTxs = [];
+	let poolUnspentTxOuts = unspentTxOuts;
 
 	for (const tx of transactionPool) {
-		for (const txIn of tx.txIns) {
-			if (!hasTxIn(txIn, unspentTxOuts)) {
-				invalidTxs.push(tx);
-				break;
-			}
+		const hasTxIns = tx.txIns.every((txIn) => {
+			return poolUnspentTxOuts.some((uTxO) => uTxO.txOutId === txIn.txOutId && uTxO.txOutIndex === txIn.txOutIndex);
+		});
+
+		if (hasTxIns) {
+			poolUnspentTxOuts = applyTransaction(tx, poolUnspentTxOuts, blockIndex);
+		} else {
+			invalidTxs.push(tx);
 		}
 	}
 
 	if (invalidTxs.length > 0) {
 		console.log('removing the following transactions from txPool: %s', JSON.stringify(invalidTxs));
-		transactionPool = _.without(transactionPool, ...invalidTxs);
+		dropTxs(invalidTxs);
 	}
+
+	expireTransactions(unspentTxOuts, blockIndex);
 };
 
 /**
- *
+ * The transactions of the pool spending a txOut spent by the transaction
+ * @param {object} tx
  * @param {array} aTransactionPool
  * @return {array}
  * */
-const getTxPoolIns = (aTransactionPool) => {
-	return _(aTransactionPool)
-		.map((tx) => tx.txIns)
-		.flatten()
-		.value();
+const getConflictingTxs = (tx, aTransactionPool) => {
+	return aTransactionPool.filter((poolTx) => poolTx.txIns.some((poolTxIn) => {
+		return tx.txIns.some((txIn) => txIn.txOutIndex === poolTxIn.txOutIndex && txIn.txOutId === poolTxIn.txOutId);
+	}));
+};
+
+/**
+ * Replace-by-fee - a transaction can replace the transactions of the pool it conflicts with if they all opted in (replaceable)
+ * and it pays strictly more fees than all of them together, with the transactions depending on them
+ * @param {object} tx
+ * @param {array} conflictingTxs
+ * @param {array} knownTxOuts
+ * @return {boolean}
+ * */
+const canReplace = (tx, conflictingTxs, knownTxOuts) => {
+	if (conflictingTxs.some((conflictingTx) => conflictingTx.replaceable !== true)) {
+		console.log('txIn already found in the txPool, the transaction spending it is not replaceable');
+		return false;
+	}
+
+	const replacedFees = _.sumBy(getWithDescendants(conflictingTxs), (replacedTx) => getTransactionFee(replacedTx, knownTxOuts));
+	if (getTransactionFee(tx, knownTxOuts) <= replacedFees) {
+		console.log('the replacement transaction must pay more fees than the replaced transactions: %d', replacedFees);
+		return false;
+	}
+
+	return true;
 };
 
 /**
  * As the peers can send us any kind of transactions, we must validate the transactions before we can add them to the transaction pool
- * There is no way to remove a transaction from the transaction pool. The transaction pool will however be updated each time a new block is found
+ * A transaction leaves the pool when it is mined, replaced, expired, evicted or removed
  * @param {object} tx
  * @param {array} aTtransactionPool
+ * @param {array} knownTxOuts - the txOuts the transaction can spend, to get its fee
  * @return {boolean}
  * */
-const isValidTxForPool = (tx, aTtransactionPool) => {
-	const txPoolIns = getTxPoolIns(aTtransactionPool); // array
+const isValidTxForPool = (tx, aTtransactionPool, knownTxOuts) => {
+	const conflictingTxs = getConflictingTxs(tx, aTtransactionPool);
 
-	const containsTxIn = (txIns, txIn) => {
-		return _.find(txPoolIns, ((txPoolIn) => {
-			return txIn.txOutIndex === txPoolIn.txOutIndex && txIn.txOutId === txPoolIn.txOutId;
-		}));
-	};
+	if (conflictingTxs.length > 0 && !canReplace(tx, conflictingTxs, knownTxOuts)) {
+		return false;
+	}
 
-	for (const txIn of tx.txIns) {
-		if (containsTxIn(txPoolIns, txIn)) {
-			console.log('txIn already found in the txPool');
-			return false;
-		}
+	if (!ACCEPT_LEGACY_ADDRESSES && tx.txOuts.find((txOut) => isLegacyAddress(txOut.address)) !== undefined) {
+		console.log('legacy addresses are no longer accepted in the txPool');
+		return false;
+	}
+
+	if (tx.txOuts.find((txOut) => txOut.amount < DUST_THRESHOLD) !== undefined) {
+		console.log('dust txOut, the amounts must be at least %d base units: %s', DUST_THRESHOLD, tx.id);
+		return false;
 	}
 
 	return true;
 };
 
-export { addToTransactionPool, getTransactionPool, updateTransactionPool };
+/**
+ * Size of a transaction, in bytes of its JSON representation
+ * @param {object} tx
+ * @return {number}
+ * */
+const getTransactionSize = (tx) => {
+	return Buffer.byteLength(JSON.stringify(tx), 'utf8');
+};
+
+/**
+ * Fee paid by byte of the transaction
+ * @param {object} tx
+ * @param {array} unspentTxOuts
+ * @return {number}
+ * */
+const getFeeRate = (tx, unspentTxOuts) => {
+	return getTransactionFee(tx, unspentTxOuts) / getTransactionSize(tx);
+};
+
+/**
+ * @param {object} tx
+ * @param {array} unspentTxOuts
+ * @param {number} blockIndex
+ * @return {boolean} true if the txOuts spent by the transaction exist and the coinbase ones are mature - they may no longer be after a fork
+ * */
+const spendsMatureTxOuts = (tx, unspentTxOuts, blockIndex) => {
+	return tx.txIns.every((txIn) => {
+		const uTxO = unspentTxOuts.find((aUTxO) => aUTxO.txOutId === txIn.txOutId && aUTxO.txOutIndex === txIn.txOutIndex);
+		return uTxO !== undefined && isMatureTxOut(uTxO, blockIndex);
+	});
+};
+
+/**
+ * Block assembly - pick the final transactions of the pool paying the highest fee rate first, until the block is full
+ * A transaction spending the txOuts of another transaction of the pool is picked once its parent is in the block - it comes after it
+ *
+ * @param {array} unspentTxOuts
+ * @param {number} maxSize - the maximum size in bytes of the transactions of the block
+ * @param {number} blockIndex - the height of the block
+ * @param {number} blockTimestamp
+ * @return {array}
+ * */
+const getTransactionsForBlock = (unspentTxOuts, maxSize, blockIndex, blockTimestamp) => {
+	const knownTxOuts = getKnownTxOuts(unspentTxOuts, blockIndex);
+	let remainingTxs = _.sortBy(getTransactionPool(), (tx) => -getFeeRate(tx, knownTxOuts));
+	let blockUnspentTxOuts = unspentTxOuts;
+	const selectedTxs = [];
+	let blockSize = 0;
+	let picked = true;
+
+	// a new pass while a transaction is picked - it may be the parent of a transaction skipped by the previous pass
+	while (picked) {
+		picked = false;
+
+		for (const tx of remainingTxs) {
+			const txSize = getTransactionSize(tx);
+
+			if (blockSize + txSize <= maxSize && spendsMatureTxOuts(tx, blockUnspentTxOuts, blockIndex) && isFinalTransaction(tx, blockUnspentTxOuts, blockIndex, blockTimestamp)) {
+				selectedTxs.push(tx);
+				blockSize = blockSize + txSize;
+				blockUnspentTxOuts = applyTransaction(tx, blockUnspentTxOuts, blockIndex);
+				picked = true;
+			}
+		}
+
+		remainingTxs = _.difference(remainingTxs, selectedTxs);
+	}
+
+	return selectedTxs;
+};
+
+export { DUST_THRESHOLD, addToTransactionPool, getPoolUnspentTxOuts, getTransactionPool, getTransactionsForBlock, removeFromTransactionPool, updateTransactionPool };
@@ -30,4 +30,79 @@ const hexToBinary = (s) => {
 	return ret;
 };
 
-export { hexToBinary };
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Encode hexa in base58 - the leading zero bytes are encoded as '1'
+ * @param {string} hex
+ * @return {string}
+ * */
+const base58Encode = (hex) => {
+	const bytes = Buffer.from(hex, 'hex');
+	const digits = [0];
+
+	for (const byte of bytes) {
+		let carry = byte;
+		for (let i = 0; i < digits.length; i++) {
+			carry = carry + digits[i] * 256;
+			digits[i] = carry % 58;
+			carry = Math.floor(carry / 58);
+		}
+		while (carry > 0) {
+			digits.push(carry % 58);
+			carry = Math.floor(carry / 58);
+		}
+	}
+
+	let ret = '';
+	for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+		ret += BASE58_ALPHABET[0];
+	}
+
+	// a buffer of zero bytes only is encoded by its leading '1's
+	if (bytes.length === 0 || ret.length === bytes.length) {
+		return ret;
+	}
+
+	for (let i = digits.length - 1; i >= 0; i--) {
+		ret += BASE58_ALPHABET[digits[i]];
+	}
+
+	return ret;
+};
+
+/**
+ * Decode base58 to hexa
+ * @param {string} s
+ * @return {string} null if s contains a character out of the alphabet
+ * */
+const base58Decode = (s) => {
+	const bytes = [0];
+
+	for (const char of s) {
+		let carry = BASE58_ALPHABET.indexOf(char);
+		if (carry === -1) {
+			return null;
+		}
+		for (let i = 0; i < bytes.length; i++) {
+			carry = carry + bytes[i] * 58;
+			bytes[i] = carry & 0xff;
+			carry = carry >> 8;
+		}
+		while (carry > 0) {
+			bytes.push(carry & 0xff);
+			carry = carry >> 8;
+		}
+	}
+
+	let leadingZeros = 0;
+	for (let i = 0; i < s.length && s[i] === BASE58_ALPHABET[0]; i++) {
+		leadingZeros++;
+	}
+
+	const significantBytes = (s.length === leadingZeros) ? [] : bytes.reverse();
+
+	return Buffer.from(new Array(leadingZeros).fill(0).concat(significantBytes)).toString('hex');
+};
+
+export { hexToBinary, base58Encode, base58Decode };
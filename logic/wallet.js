@@ -1,28 +1,271 @@
+import { generateMnemonic, mnemonicToSeedHex, validateMnemonic } from 'bip39';
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
 import { ec } from 'elliptic';
-import { existsSync, readFileSync, unlinkSync, writeFileSync } from 'fs';
+import { existsSync, readFileSync, unlinkSync } from 'fs';
 import _ from 'lodash';
-import { getPublicKey, getTransactionId, signTxIn, Transaction, TxIn, TxOut } from './transaction';
+import { ACCEPT_LEGACY_ADDRESSES, isLegacyAddress, isScriptAddress, isValidAddress, publicKeyToAddress, scriptToAddress } from './address';
+import { addAmounts, fromBaseUnits } from './amount';
+import { DEFAULT_COIN_SELECTION, selectCoins, sumAmounts } from './coinSelection';
+import { deriveChild, derivePath, fromSeed, toPublicNode } from './hdkey';
+import { isValidScript } from './script';
+import { writeFileAtomic } from './storage';
+import { getPublicKey, getTransactionId, isValidTxOutAmount, signTxIn, Transaction, TxIn, TxOut } from './transaction';
+import { DUST_THRESHOLD } from './transactionPool';
 
 const EC = new ec('secp256k1');
-const privateKeyLocation = process.env.PRIVATE_KEY || 'node/wallet/private_key';
+const keystoreLocation = process.env.KEYSTORE || 'node/wallet/keystore.json';
+const privateKeyLocation = process.env.PRIVATE_KEY || 'node/wallet/private_key'; // legacy plaintext private key - migrated to the keystore
+const UNLOCK_TIMEOUT = parseInt(process.env.WALLET_UNLOCK_TIMEOUT) || 300; // in seconds - the wallet is locked again after this delay
+
+const SCRYPT_PARAMS = { 'N': 16384, 'r': 8, 'p': 1, 'dklen': 32 };
+
+// HD wallet - the addresses are derived from the seed of the mnemonic at m/44'/0'/0'/chain/index
+const ACCOUNT_PATH = 'm/44\'/0\'/0\'';
+const RECEIVE_CHAIN = 0;
+const CHANGE_CHAIN = 1;
+const GAP_LIMIT = 20; // restore - number of consecutive unused addresses after which we stop looking for funds
+
+// the secrets are only kept in memory while the wallet is unlocked: { accountNode, importedKeys }
+let unlockedSecrets = null;
+let lockTimer = null;
+
+// derived addresses, by chain/index - the derivation of a public key is slow
+let addressCache = {};
 
 /**
- * Get a Private key
+ * Encrypt a secret with a passphrase - the key is derived with scrypt and the secret is encrypted with AES-256-GCM
+ * @param {string} secret
+ * @param {string} passphrase
+ * @return {object}
+ * */
+const encryptSecret = (secret, passphrase) => {
+	const salt = randomBytes(32);
+	const iv = randomBytes(12);
+	const derivedKey = scryptSync(passphrase, salt, SCRYPT_PARAMS.dklen, SCRYPT_PARAMS);
+
+	const cipher = createCipheriv('aes-256-gcm', derivedKey, iv);
+	const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+	return {
+		'kdf': 'scrypt',
+		'kdfparams': { ...SCRYPT_PARAMS, 'salt': salt.toString('hex') },
+		'cipher': 'aes-256-gcm',
+		'iv': iv.toString('hex'),
+		'tag': cipher.getAuthTag().toString('hex'),
+		'ciphertext': ciphertext.toString('hex')
+	};
+};
+
+/**
+ * Decrypt a secret - the authentication tag of AES-GCM tells us if the passphrase is wrong
+ * @param {object} encrypted
+ * @param {string} passphrase
  * @return {string}
  * */
-const getPrivateFromWallet = () => {
-	const buffer = readFileSync(privateKeyLocation, 'utf8');
-	return buffer.toString();
+const decryptSecret = (encrypted, passphrase) => {
+	const { kdfparams, iv, tag, ciphertext } = encrypted;
+	const derivedKey = scryptSync(passphrase, Buffer.from(kdfparams.salt, 'hex'), kdfparams.dklen, { 'N': kdfparams.N, 'r': kdfparams.r, 'p': kdfparams.p });
+
+	const decipher = createDecipheriv('aes-256-gcm', derivedKey, Buffer.from(iv, 'hex'));
+	decipher.setAuthTag(Buffer.from(tag, 'hex'));
+
+	try {
+		return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]).toString('utf8');
+	} catch (e) {
+		throw Error('wrong passphrase');
+	}
+};
+
+const readKeystore = () => {
+	if (!existsSync(keystoreLocation)) {
+		throw Error('no wallet, set WALLET_PASSPHRASE to create one');
+	}
+
+	return JSON.parse(readFileSync(keystoreLocation, 'utf8'));
+};
+
+/**
+ * The keystore holds the only copy of the encrypted seed - it is replaced in one go, readable by its owner only
+ * @param {object} keystore
+ * @return {void}
+ * */
+const writeKeystore = (keystore) => {
+	writeFileAtomic(keystoreLocation, JSON.stringify(keystore), 0o600);
+};
+
+/**
+ * The account node m/44'/0'/0' of a mnemonic
+ * @param {string} mnemonic
+ * @return {object}
+ * */
+const getAccountNode = (mnemonic) => {
+	return derivePath(fromSeed(mnemonicToSeedHex(mnemonic)), ACCOUNT_PATH);
 };
 
 /**
- * Get a Public key (=address)
+ * Keystore of the HD wallet - the mnemonic and the imported keys are encrypted
+ * The public node of the account is kept in clear, for deriving the addresses while the wallet is locked
+ *
+ * @param {string} mnemonic
+ * @param {array} importedKeys - private keys that do not come from the mnemonic (wallet of a previous version)
+ * @param {string} passphrase
+ * @return {object}
+ * */
+const createKeystore = (mnemonic, importedKeys, passphrase) => {
+	const accountNode = getAccountNode(mnemonic);
+
+	return {
+		'version': 2,
+		'account': toPublicNode(accountNode),
+		'receiveIndex': 1, // number of receiving addresses given
+		'changeIndex': 0, // number of change addresses given
+		'importedAddresses': importedKeys.map(getPublicKey), // the imported keys come from a previous version, their funds are on legacy addresses
+		'crypto': encryptSecret(JSON.stringify({ mnemonic, importedKeys }), passphrase)
+	};
+};
+
+/**
+ * Address of the key at m/44'/0'/0'/chain/index
+ * @param {object} keystore
+ * @param {number} chain - RECEIVE_CHAIN or CHANGE_CHAIN
+ * @param {number} index
+ * @return {string}
+ * */
+const deriveAddress = (keystore, chain, index) => {
+	const cacheKey = chain + '/' + index;
+
+	if (addressCache[cacheKey] === undefined) {
+		const node = deriveChild(deriveChild(keystore.account, chain), index);
+		addressCache[cacheKey] = publicKeyToAddress(node.publicKey);
+	}
+
+	return addressCache[cacheKey];
+};
+
+/**
+ * All the addresses of the wallet - receiving, change and imported addresses
+ * @return {array}
+ * */
+const getWalletAddresses = () => {
+	const keystore = readKeystore();
+
+	// wallet of a previous version, upgraded on the next unlock
+	if (keystore.version === 1) {
+		return [keystore.publicKey];
+	}
+
+	const receiveAddresses = _.range(keystore.receiveIndex).map((index) => deriveAddress(keystore, RECEIVE_CHAIN, index));
+	const changeAddresses = _.range(keystore.changeIndex).map((index) => deriveAddress(keystore, CHANGE_CHAIN, index));
+
+	return receiveAddresses.concat(changeAddresses, keystore.importedAddresses);
+};
+
+/**
+ * Get the Private keys of all the addresses of the wallet - the wallet must be unlocked
+ * @return {array}
+ * */
+const getPrivateKeysFromWallet = () => {
+	if (unlockedSecrets === null) {
+		throw Error('wallet is locked');
+	}
+
+	const keystore = readKeystore();
+	const deriveKeys = (chain, count) => {
+		const chainNode = deriveChild(unlockedSecrets.accountNode, chain);
+		return _.range(count).map((index) => deriveChild(chainNode, index).privateKey);
+	};
+
+	return deriveKeys(RECEIVE_CHAIN, keystore.receiveIndex)
+		.concat(deriveKeys(CHANGE_CHAIN, keystore.changeIndex), unlockedSecrets.importedKeys);
+};
+
+/**
+ * Get the current receiving address
  * @return {string}
  * */
 const getPublicFromWallet = () => {
-	const privateKey = getPrivateFromWallet();
-	const key = EC.keyFromPrivate(privateKey, 'hex');
-	return key.getPublic().encode('hex');
+	const keystore = readKeystore();
+
+	if (keystore.version === 1) {
+		return keystore.publicKey;
+	}
+
+	return deriveAddress(keystore, RECEIVE_CHAIN, keystore.receiveIndex - 1);
+};
+
+/**
+ * Give the next address of a chain - derived from the public node of the account, so the wallet can be locked
+ * @param {number} chain
+ * @return {string}
+ * */
+const getNewAddress = (chain) => {
+	const keystore = readKeystore();
+
+	if (keystore.version === 1) {
+		return keystore.publicKey;
+	}
+
+	const indexKey = chain === RECEIVE_CHAIN ? 'receiveIndex' : 'changeIndex';
+	const address = deriveAddress(keystore, chain, keystore[indexKey]);
+
+	keystore[indexKey] = keystore[indexKey] + 1;
+	writeKeystore(keystore);
+
+	return address;
+};
+
+const getNewReceivingAddress = () => getNewAddress(RECEIVE_CHAIN);
+
+/**
+ * The change address of the next transaction - it is used (the next one is derived) only once a transaction pays to it
+ * A failed transaction, or one without change, leaves no unused address behind: restoreWallet stops at GAP_LIMIT unused addresses
+ * @return {string}
+ * */
+const getNextChangeAddress = () => {
+	const keystore = readKeystore();
+
+	if (keystore.version === 1) {
+		return keystore.publicKey;
+	}
+
+	return deriveAddress(keystore, CHANGE_CHAIN, keystore.changeIndex);
+};
+
+/**
+ * Move to the next change address if the transaction pays to the current one
+ * @param {object} transaction - created with getNextChangeAddress, accepted
+ * @return {void}
+ * */
+const useChangeAddress = (transaction) => {
+	const keystore = readKeystore();
+
+	if (keystore.version === 1) {
+		return;
+	}
+
+	const changeAddress = deriveAddress(keystore, CHANGE_CHAIN, keystore.changeIndex);
+
+	if (transaction.txOuts.some((txOut) => txOut.address === changeAddress)) {
+		keystore.changeIndex = keystore.changeIndex + 1;
+		writeKeystore(keystore);
+	}
+};
+
+/**
+ * Give the public key of the next receiving address - to be one of the keys of a multisig
+ * @return {string} compressed, in hexa
+ * */
+const getNewPublicKey = () => {
+	const keystore = readKeystore();
+
+	if (keystore.version === 1) {
+		return EC.keyFromPublic(keystore.publicKey, 'hex').getPublic(true, 'hex');
+	}
+
+	const publicKey = deriveChild(deriveChild(keystore.account, RECEIVE_CHAIN), keystore.receiveIndex).publicKey;
+	getNewAddress(RECEIVE_CHAIN);
+
+	return publicKey;
 };
 
 /**
@@ -35,93 +278,310 @@ const generatePrivateKey = () => {
 	return privateKey.toString(16);
 };
 
+const lockWallet = () => {
+	clearTimeout(lockTimer);
+	lockTimer = null;
+	unlockedSecrets = null;
+};
+
+/**
+ * Wallet of a previous version (one encrypted private key) - the key is imported into a new HD wallet
+ * @param {object} keystore
+ * @param {string} passphrase
+ * @return {object} the new keystore
+ * */
+const upgradeKeystore = (keystore, passphrase) => {
+	const privateKey = decryptSecret(keystore.crypto, passphrase);
+	const newKeystore = createKeystore(generateMnemonic(), [privateKey], passphrase);
+
+	writeKeystore(newKeystore);
+	console.log('wallet upgraded to an HD wallet, back up its mnemonic with /wallet/mnemonic');
+
+	return newKeystore;
+};
+
+/**
+ * Decrypt the secrets and keep them in memory
+ * @param {string} passphrase
+ * @param {number} timeout - in seconds, the wallet is locked again after this delay (0 = never)
+ * @return {void}
+ * */
+const unlockWallet = (passphrase, timeout = UNLOCK_TIMEOUT) => {
+	let keystore = readKeystore();
+
+	if (keystore.version === 1) {
+		keystore = upgradeKeystore(keystore, passphrase);
+	}
+
+	const { mnemonic, importedKeys } = JSON.parse(decryptSecret(keystore.crypto, passphrase));
+
+	lockWallet();
+	unlockedSecrets = { 'accountNode': getAccountNode(mnemonic), 'importedKeys': importedKeys };
+
+	if (timeout > 0) {
+		lockTimer = setTimeout(() => {
+			console.log('wallet locked after %d seconds', timeout);
+			lockWallet();
+		}, timeout * 1000);
+	}
+};
+
+const isWalletLocked = () => unlockedSecrets === null;
+
+/**
+ * Encrypt the secrets again with a new passphrase
+ * @param {string} passphrase - the current passphrase
+ * @param {string} newPassphrase
+ * @return {void}
+ * */
+const changePassphrase = (passphrase, newPassphrase) => {
+	if (typeof newPassphrase !== 'string' || newPassphrase.length === 0) {
+		throw Error('invalid new passphrase');
+	}
+
+	let keystore = readKeystore();
+
+	if (keystore.version === 1) {
+		keystore = upgradeKeystore(keystore, passphrase);
+	}
+
+	keystore.crypto = encryptSecret(decryptSecret(keystore.crypto, passphrase), newPassphrase);
+	writeKeystore(keystore);
+	console.log('wallet passphrase changed');
+};
+
 /**
- * Only one wallet by user
+ * The mnemonic is the backup of the wallet - all the addresses can be derived again from it
+ * @param {string} passphrase
+ * @return {string}
+ * */
+const getMnemonic = (passphrase) => {
+	const keystore = readKeystore();
+
+	if (keystore.version === 1) {
+		return JSON.parse(decryptSecret(upgradeKeystore(keystore, passphrase).crypto, passphrase)).mnemonic;
+	}
+
+	return JSON.parse(decryptSecret(keystore.crypto, passphrase)).mnemonic;
+};
+
+/**
+ * Restore a wallet from its mnemonic
+ * The addresses are derived until GAP_LIMIT consecutive addresses never received a txOut - an address whose txOuts are all spent is still used
+ *
+ * @param {string} mnemonic
+ * @param {string} passphrase - the passphrase of the new keystore
+ * @param {Set} usedAddresses - the addresses which received a txOut in the blockchain or the transaction pool
  * @return {void}
  * */
-const initWallet = () => {
+const restoreWallet = (mnemonic, passphrase, usedAddresses) => {
+	if (existsSync(keystoreLocation)) {
+		throw Error('a wallet already exists: ' + keystoreLocation);
+	}
+
+	if (!validateMnemonic(mnemonic)) {
+		throw Error('invalid mnemonic');
+	}
+
+	const keystore = createKeystore(mnemonic, [], passphrase);
+	addressCache = {};
+
+	const countUsedAddresses = (chain) => {
+		let count = 0;
+		for (let index = 0; index < count + GAP_LIMIT; index++) {
+			if (usedAddresses.has(deriveAddress(keystore, chain, index))) {
+				count = index + 1;
+			}
+		}
+		return count;
+	};
+
+	keystore.receiveIndex = Math.max(countUsedAddresses(RECEIVE_CHAIN), 1);
+	keystore.changeIndex = countUsedAddresses(CHANGE_CHAIN);
+
+	writeKeystore(keystore);
+	console.log('wallet restored to : %s', keystoreLocation);
+	unlockWallet(passphrase);
+};
+
+/**
+ * HD wallet - one mnemonic by user, a new address can be given for each payment
+ * The secrets are stored encrypted with the passphrase (WALLET_PASSPHRASE) - the wallet is unlocked on startup if it is given
+ * @param {string} passphrase
+ * @return {void}
+ * */
+const initWallet = (passphrase = process.env.WALLET_PASSPHRASE) => {
 	// let's not override existing private keys
-	if (existsSync(privateKeyLocation)) {
+	if (existsSync(keystoreLocation)) {
+		if (passphrase) {
+			unlockWallet(passphrase, 0);
+		}
 		return;
 	}
 
-	const newPrivateKey = generatePrivateKey();
+	if (!passphrase) {
+		console.log('no wallet, set WALLET_PASSPHRASE to create one');
+		return;
+	}
+
+	// a plaintext private key from a previous version is imported, then removed from the disk
+	const migrate = existsSync(privateKeyLocation);
+	const importedKeys = migrate ? [readFileSync(privateKeyLocation, 'utf8').toString()] : [];
+
+	writeKeystore(createKeystore(generateMnemonic(), importedKeys, passphrase));
 
-	writeFileSync(privateKeyLocation, newPrivateKey);
-	console.log('new wallet with private key created to : %s', privateKeyLocation);
+	if (migrate) {
+		unlinkSync(privateKeyLocation);
+		console.log('private key %s imported to : %s', privateKeyLocation, keystoreLocation);
+	}
+
+	console.log('new HD wallet created to : %s, back up its mnemonic with /wallet/mnemonic', keystoreLocation);
+	unlockWallet(passphrase, 0);
 };
 
 const deleteWallet = () => {
-	if (existsSync(privateKeyLocation)) {
-		unlinkSync(privateKeyLocation);
+	lockWallet();
+	addressCache = {};
+	if (existsSync(keystoreLocation)) {
+		unlinkSync(keystoreLocation);
 	}
 };
 
 /**
- * Get the amount of a address
- * @param {string} address
+ * Get the amount of some addresses
+ * @param {array} addresses
  * @param {array} unspentTxOuts
  * @return {number}
  * */
-const getBalance = (address, unspentTxOuts) => {
-	return _(findUnspentTxOuts(address, unspentTxOuts))
+const getBalance = (addresses, unspentTxOuts) => {
+	return _(findUnspentTxOuts(addresses, unspentTxOuts))
 		.map((uTxO) => uTxO.amount)
 		.sum();
 };
 
 /**
  *
- * @param {string} ownerAddress
+ * @param {array} ownerAddresses
  * @param {array} unspentTxOuts
  * @return {array}
  * */
-const findUnspentTxOuts = (ownerAddress, unspentTxOuts) => {
-	return _.filter(unspentTxOuts, (uTxO) => uTxO.address === ownerAddress);
+const findUnspentTxOuts = (ownerAddresses, unspentTxOuts) => {
+	return _.filter(unspentTxOuts, (uTxO) => ownerAddresses.includes(uTxO.address));
 };
 
 /**
  * Generating transactions - create the transaction inputs
+ * The error tells why the wallet can not fund the amount
  *
  * @param {number} amount
- * @param {array} myUnspentTxOuts
+ * @param {array} myUnspentTxOuts - all the txOuts of the wallet
+ * @param {array} spendableUnspentTxOuts - the txOuts of the wallet not spent by a transaction of the pool
+ * @param {string} strategy - coin selection strategy
  * @return {object}
  * */
-const findTxOutsForAmount = (amount, myUnspentTxOuts) => {
-	let currentAmount = 0;
-	const includedUnspentTxOuts = [];
+const findTxOutsForAmount = (amount, myUnspentTxOuts, spendableUnspentTxOuts, strategy) => {
+	const selection = selectCoins(amount, spendableUnspentTxOuts, strategy);
 
-	for (const myUnspentTxOut of myUnspentTxOuts) {
-		includedUnspentTxOuts.push(myUnspentTxOut);
-		currentAmount = currentAmount + myUnspentTxOut.amount;
+	if (selection !== null) {
+		return selection;
+	}
 
-		if (currentAmount >= amount) {
-			const leftOverAmount = currentAmount - amount; // the value to send back to our address
-			return { includedUnspentTxOuts, leftOverAmount };
-		}
+	const available = sumAmounts(spendableUnspentTxOuts);
+	const inPool = sumAmounts(myUnspentTxOuts) - available;
+
+	if (myUnspentTxOuts.length === 0) {
+		throw Error('Cannot create transaction: the wallet has no unspent transaction outputs');
+	} else if (available + inPool >= amount) {
+		throw Error('Cannot create transaction: ' + fromBaseUnits(inPool) + ' of the funds are spent by unconfirmed transactions of the pool. Required amount: ' + fromBaseUnits(amount) + ', available: ' + fromBaseUnits(available));
 	}
 
-	const eMsg = 'Cannot create transaction from the available unspent transaction outputs. Required amount:' + amount + '. Available unspentTxOuts:' + JSON.stringify(myUnspentTxOuts);
-	throw Error(eMsg);
+	throw Error('Cannot create transaction: insufficient funds. Required amount: ' + fromBaseUnits(amount) + ', available: ' + fromBaseUnits(available) + ' in ' + spendableUnspentTxOuts.length + ' unspent transaction outputs');
 };
 
 /**
- *
- * @param {string} receiverAddress
- * @param {string} myAddress
- * @param {number} amount
+ * One txOut by receiver, then a single change txOut - a dust left over amount is left to the miner
+ * @param {array} outputs - [{ address, amount, relativeLock, script }]
+ * @param {string} changeAddress
  * @param {number} leftOverAmount
  *
  * @return {array}
  * */
-const createTxOuts = (receiverAddress, myAddress, amount, leftOverAmount) => {
-	const txOut1 = new TxOut(receiverAddress, amount);
+const createTxOuts = (outputs, changeAddress, leftOverAmount) => {
+	const txOuts = outputs.map((output) => {
+		const address = output.script !== undefined ? scriptToAddress(output.script) : output.address;
+		return new TxOut(address, output.amount, output.relativeLock, output.script);
+	});
 
-	if (leftOverAmount === 0) {
-		return [txOut1];
+	if (leftOverAmount < DUST_THRESHOLD) {
+		return txOuts;
 	} else {
-		const leftOverTx = new TxOut(myAddress, leftOverAmount);
-		return [txOut1, leftOverTx];
+		const leftOverTx = new TxOut(changeAddress, leftOverAmount);
+		return txOuts.concat([leftOverTx]);
+	}
+};
+
+/**
+ * Check the receivers of a transaction
+ * @param {array} outputs - [{ address, amount, relativeLock, script }]
+ * @return {void}
+ * */
+const validateOutputs = (outputs) => {
+	if (!(outputs instanceof Array) || outputs.length === 0) {
+		throw Error('no receiver given');
 	}
+
+	outputs.forEach((output, index) => {
+		if (output === null || typeof output !== 'object') {
+			throw Error('invalid output ' + index);
+		}
+
+		// a txOut locked by a script - its address is the hash of the script
+		if (output.script !== undefined) {
+			if (!isValidScript(output.script)) {
+				throw Error('invalid script of output ' + index);
+			}
+
+			if (output.address !== undefined && output.address !== scriptToAddress(output.script)) {
+				throw Error('the address of output ' + index + ' is not the address of its script');
+			}
+		} else if (!isValidAddress(output.address)) {
+			throw Error('invalid address of output ' + index);
+		} else if (isScriptAddress(output.address)) {
+			throw Error('the script of the address of output ' + index + ' must be given');
+		}
+
+		if (!ACCEPT_LEGACY_ADDRESSES && output.script === undefined && isLegacyAddress(output.address)) {
+			throw Error('legacy addresses are no longer accepted, use the Base58Check address of the receiver: ' + output.address);
+		}
+
+		if (!isValidTxOutAmount(output.amount)) {
+			throw Error('invalid amount of output ' + index + ', expected a positive integer number of base units');
+		}
+
+		if (output.amount < DUST_THRESHOLD) {
+			throw Error('the amount of output ' + index + ' is below the dust threshold of ' + fromBaseUnits(DUST_THRESHOLD));
+		}
+
+		if (output.relativeLock !== undefined && (!Number.isSafeInteger(output.relativeLock) || output.relativeLock < 0)) {
+			throw Error('invalid relativeLock of output ' + index);
+		}
+	});
+};
+
+/**
+ * The amount the inputs must cover
+ * @param {array} outputs - validated
+ * @param {number} fee
+ * @return {number} the amounts of the outputs + the fee, in base units
+ * */
+const getRequiredAmount = (outputs, fee) => {
+	const amount = addAmounts(outputs.map((output) => output.amount).concat([fee]));
+
+	if (amount === null) {
+		throw Error('invalid fee or the sum of the amounts is too large');
+	}
+
+	return amount;
 };
 
 /**
@@ -155,25 +615,156 @@ const filterTxPoolTxs = (unspentTxOuts, transactionPool) => {
 };
 
 /**
- *
- * @param {string} receiverAddress
- * @param {number} amount
- * @param {string} privateKey
+ * A transaction paying one or more receivers - the inputs are selected once for all of them
+ * @param {array} outputs - the receivers [{ address, amount }]
+ * @param {array} privateKeys - the keys of the wallet, the inputs are taken from their addresses
+ * @param {string} changeAddress - receives the left over amount
  * @param {array} unspentTxOuts
  * @param {array} txPool
+ * @param {number} fee - paid to the miner, the inputs must cover the amounts + fee
+ * @param {string} strategy - coin selection strategy (coinSelection.js)
+ * @param {number} lockTime - optional, the first block height (or timestamp) at which the transaction can be in a block
+ * @param {boolean} replaceable - optional, a transaction paying more fees can replace it in the transaction pool
  *
  * @return {object}
  * */
-const createTransaction = (receiverAddress, amount, privateKey, unspentTxOuts, txPool) => {
+const createTransaction = (outputs, privateKeys, changeAddress, unspentTxOuts, txPool, fee = 0, strategy = DEFAULT_COIN_SELECTION, lockTime = 0, replaceable = false) => {
 	console.log('txPool: %s', JSON.stringify(txPool));
-	const myAddress = getPublicKey(privateKey); // string
-	const myUnspentTxOutsA = unspentTxOuts.filter((uTxO) => uTxO.address === myAddress);
+	validateOutputs(outputs);
+
+	if (!Number.isSafeInteger(lockTime) || lockTime < 0) {
+		throw Error('invalid lockTime');
+	}
+
+	if (typeof replaceable !== 'boolean') {
+		throw Error('invalid replaceable flag');
+	}
+	const amount = getRequiredAmount(outputs, fee);
 
-	const myUnspentTxOuts = filterTxPoolTxs(myUnspentTxOutsA, txPool);
+	const privateKeysByAddress = getPrivateKeysByAddress(privateKeys);
+	const myUnspentTxOuts = unspentTxOuts.filter((uTxO) => privateKeysByAddress[uTxO.address] !== undefined);
 
 	// filter from unspentOutputs such inputs that are referenced in pool
-	const {includedUnspentTxOuts, leftOverAmount} = findTxOutsForAmount(amount, myUnspentTxOuts);
+	const {includedUnspentTxOuts, leftOverAmount} = findTxOutsForAmount(amount, myUnspentTxOuts, filterTxPoolTxs(myUnspentTxOuts, txPool), strategy);
+
+	return signTransaction(includedUnspentTxOuts, createTxOuts(outputs, changeAddress, leftOverAmount), privateKeysByAddress, unspentTxOuts, lockTime, replaceable);
+};
+
+/**
+ * Consolidation - a transaction spending many small txOuts of the wallet to one of its addresses
+ * The future transactions need fewer inputs
+ *
+ * @param {array} privateKeys
+ * @param {string} address - receives the consolidated amount
+ * @param {array} unspentTxOuts
+ * @param {array} txPool
+ * @param {number} fee
+ * @param {number} maxInputs - the smallest txOuts are consolidated first
+ * @return {object}
+ * */
+const createConsolidationTransaction = (privateKeys, address, unspentTxOuts, txPool, fee, maxInputs) => {
+	const privateKeysByAddress = getPrivateKeysByAddress(privateKeys);
+	const myUnspentTxOuts = unspentTxOuts.filter((uTxO) => privateKeysByAddress[uTxO.address] !== undefined);
+	const includedUnspentTxOuts = _.orderBy(filterTxPoolTxs(myUnspentTxOuts, txPool), ['amount'], ['asc']).slice(0, maxInputs);
+
+	if (includedUnspentTxOuts.length < 2) {
+		throw Error('Cannot consolidate: the wallet has ' + includedUnspentTxOuts.length + ' spendable unspent transaction outputs');
+	}
+
+	const amount = sumAmounts(includedUnspentTxOuts) - fee;
+	if (amount <= 0 || amount < DUST_THRESHOLD) {
+		throw Error('Cannot consolidate: the fee is larger than the consolidated amount: ' + fromBaseUnits(amount + fee));
+	}
+
+	return signTransaction(includedUnspentTxOuts, [new TxOut(address, amount)], privateKeysByAddress, unspentTxOuts);
+};
+
+/**
+ * Spend a txOut locked by a script - the left over amount goes to our change address
+ * The token SIGNATURE of the unlocking script is replaced by the signature of the key of the wallet given by signWith
+ *
+ * @param {object} scriptTxIn - { txOutId, txOutIndex, script: the unlocking script, signWith: a public key (optional) }
+ * @param {array} outputs - the receivers [{ address, amount, relativeLock, script }]
+ * @param {array} privateKeys
+ * @param {string} changeAddress
+ * @param {array} unspentTxOuts
+ * @param {number} fee
+ * @param {number} lockTime - optional, needed by OP_CHECKLOCKTIMEVERIFY
+ * @return {object}
+ * */
+const createScriptTransaction = (scriptTxIn, outputs, privateKeys, changeAddress, unspentTxOuts, fee = 0, lockTime = 0) => {
+	validateOutputs(outputs);
 
+	if (!Number.isSafeInteger(lockTime) || lockTime < 0) {
+		throw Error('invalid lockTime');
+	}
+
+	const unspentTxOut = unspentTxOuts.find((uTxO) => uTxO.txOutId === scriptTxIn.txOutId && uTxO.txOutIndex === scriptTxIn.txOutIndex);
+	if (unspentTxOut === undefined || unspentTxOut.script === undefined) {
+		throw Error('no spendable txOut locked by a script: ' + scriptTxIn.txOutId + ':' + scriptTxIn.txOutIndex);
+	}
+
+	if (typeof scriptTxIn.script !== 'string') {
+		throw Error('invalid unlocking script');
+	}
+
+	const amount = getRequiredAmount(outputs, fee);
+	const leftOverAmount = unspentTxOut.amount - amount;
+	if (leftOverAmount < 0) {
+		throw Error('Cannot create transaction: the txOut locked by the script has ' + fromBaseUnits(unspentTxOut.amount) + ', required amount: ' + fromBaseUnits(amount));
+	}
+
+	const tx = new Transaction();
+	const txIn = new TxIn();
+	txIn.txOutId = unspentTxOut.txOutId;
+	txIn.txOutIndex = unspentTxOut.txOutIndex;
+	tx.txIns = [txIn];
+	tx.txOuts = createTxOuts(outputs, changeAddress, leftOverAmount);
+	if (lockTime !== 0) {
+		tx.lockTime = lockTime;
+	}
+	tx.id = getTransactionId(tx);
+
+	let script = scriptTxIn.script;
+	if (scriptTxIn.signWith !== undefined) {
+		const privateKey = privateKeys.find((aPrivateKey) => EC.keyFromPrivate(aPrivateKey, 'hex').getPublic(true, 'hex') === scriptTxIn.signWith);
+
+		if (privateKey === undefined) {
+			throw Error('the wallet has no key for the public key: ' + scriptTxIn.signWith);
+		}
+		script = script.split(' ').map((token) => token === 'SIGNATURE' ? '0x' + signTxIn(tx, 0, privateKey, unspentTxOuts) : token).join(' ');
+	}
+
+	txIn.script = script;
+	return tx;
+};
+
+/**
+ * A key owns its address and its legacy address (raw public key)
+ * @param {array} privateKeys
+ * @return {object} { address: privateKey }
+ * */
+const getPrivateKeysByAddress = (privateKeys) => {
+	const privateKeysByAddress = {};
+	for (const privateKey of privateKeys) {
+		privateKeysByAddress[getPublicKey(privateKey)] = privateKey;
+		privateKeysByAddress[publicKeyToAddress(getPublicKey(privateKey))] = privateKey;
+	}
+
+	return privateKeysByAddress;
+};
+
+/**
+ * Build the transaction spending the given txOuts
+ * @param {array} includedUnspentTxOuts
+ * @param {array} txOuts
+ * @param {object} privateKeysByAddress
+ * @param {array} unspentTxOuts
+ * @param {number} lockTime - optional
+ * @param {boolean} replaceable - optional
+ * @return {object}
+ * */
+const signTransaction = (includedUnspentTxOuts, txOuts, privateKeysByAddress, unspentTxOuts, lockTime, replaceable) => {
 	const toUnsignedTxIn = (unspentTxOut) => {
 		const txIn = new TxIn();
 		txIn.txOutId = unspentTxOut.txOutId;
@@ -185,15 +776,27 @@ const createTransaction = (receiverAddress, amount, privateKey, unspentTxOuts, t
 
 	const tx = new Transaction();
 	tx.txIns = unsignedTxIns;
-	tx.txOuts = createTxOuts(receiverAddress, myAddress, amount, leftOverAmount);
+	tx.txOuts = txOuts;
+	if (lockTime !== undefined && lockTime !== 0) {
+		tx.lockTime = lockTime;
+	}
+	if (replaceable === true) {
+		tx.replaceable = true;
+	}
 	tx.id = getTransactionId(tx);
 
+	// each input is signed by the key of the address it spends
 	tx.txIns = tx.txIns.map((txIn, index) => {
+		const address = includedUnspentTxOuts[index].address;
+		const privateKey = privateKeysByAddress[address];
 		txIn.signature = signTxIn(tx, index, privateKey, unspentTxOuts);
+		if (!isLegacyAddress(address)) {
+			txIn.publicKey = EC.keyFromPrivate(privateKey, 'hex').getPublic(true, 'hex');
+		}
 		return txIn;
 	});
 
 	return tx;
 };
 
-export { createTransaction, getPublicFromWallet, getPrivateFromWallet, getBalance, generatePrivateKey, initWallet, deleteWallet, findUnspentTxOuts };
+export { createTransaction, createConsolidationTransaction, createScriptTransaction, createTxOuts, filterTxPoolTxs, findTxOutsForAmount, getRequiredAmount, validateOutputs, getNewPublicKey, getPublicFromWallet, getPrivateKeysFromWallet, getWalletAddresses, getNewReceivingAddress, getNextChangeAddress, useChangeAddress, getBalance, generatePrivateKey, initWallet, deleteWallet, findUnspentTxOuts, unlockWallet, lockWallet, isWalletLocked, changePassphrase, getMnemonic, restoreWallet };
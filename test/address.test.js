@@ -0,0 +1,36 @@
+import assert from 'assert';
+import ecdsa from 'elliptic';
+import { isValidAddress, MAX_ADDRESS_LENGTH, publicKeyToAddress } from '../logic/address';
+import * as util from '../logic/util';
+
+const ec = new ecdsa.ec('secp256k1');
+
+/**
+ * Count the calls to base58Decode during fn
+ * */
+const countDecodes = (fn) => {
+	const base58Decode = util.base58Decode;
+	let calls = 0;
+	util.base58Decode = (input) => {
+		calls++;
+		return base58Decode(input);
+	};
+
+	try {
+		fn();
+	} finally {
+		util.base58Decode = base58Decode;
+	}
+	return calls;
+};
+
+describe('addresses', () => {
+	it('accepts a Base58Check address', () => {
+		const address = publicKeyToAddress(ec.genKeyPair().getPublic(true, 'hex'));
+		assert.ok(countDecodes(() => assert.strictEqual(isValidAddress(address), true)) > 0);
+	});
+
+	it('rejects a string longer than an address without decoding it', () => {
+		assert.strictEqual(countDecodes(() => assert.strictEqual(isValidAddress('P'.repeat(MAX_ADDRESS_LENGTH + 1)), false)), 0);
+	});
+});
@@ -0,0 +1,25 @@
+import assert from 'assert';
+import { selectCoins, sumAmounts } from '../logic/coinSelection';
+import { UnspentTxOut } from '../logic/transaction';
+
+const createUnspentTxOuts = (amounts) => amounts.map((amount, i) => new UnspentTxOut('0'.repeat(64), i, 'address', amount, 0));
+
+describe('coin selection', () => {
+	it('finds an exact match with branchAndBound', () => {
+		const { includedUnspentTxOuts, leftOverAmount } = selectCoins(13, createUnspentTxOuts([10, 7, 5, 3, 1]), 'branchAndBound');
+		assert.strictEqual(sumAmounts(includedUnspentTxOuts), 13);
+		assert.strictEqual(leftOverAmount, 0);
+	});
+
+	it('falls back to largestFirst without an exact match', () => {
+		const { includedUnspentTxOuts, leftOverAmount } = selectCoins(12, createUnspentTxOuts([10, 10, 10]), 'branchAndBound');
+		assert.strictEqual(includedUnspentTxOuts.length, 2);
+		assert.strictEqual(leftOverAmount, 8);
+	});
+
+	it('selects from a wallet of 20000 txOuts with branchAndBound', () => {
+		const unspentTxOuts = createUnspentTxOuts(new Array(20000).fill(1));
+		assert.strictEqual(selectCoins(15000, unspentTxOuts, 'branchAndBound').includedUnspentTxOuts.length, 15000);
+		assert.strictEqual(selectCoins(20001, unspentTxOuts, 'branchAndBound'), null);
+	});
+});
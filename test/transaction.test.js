@@ -0,0 +1,87 @@
+import assert from 'assert';
+import ecdsa from 'elliptic';
+import { publicKeyToAddress } from '../logic/address';
+import { addAmounts, COIN } from '../logic/amount';
+import { MAX_SUPPLY } from '../logic/emission';
+import { getTransactionId, isValidTxOutStructure, signTxIn, Transaction, TxIn, TxOut, UnspentTxOut, validateTransaction } from '../logic/transaction';
+
+const ec = new ecdsa.ec('secp256k1');
+
+const privateKey = ec.genKeyPair().getPrivate().toString(16);
+const publicKey = ec.keyFromPrivate(privateKey, 'hex').getPublic(true, 'hex');
+const address = publicKeyToAddress(publicKey);
+const receiver = publicKeyToAddress(ec.genKeyPair().getPublic(true, 'hex'));
+
+const spentTxOutId = '0'.repeat(64);
+
+/**
+ * A signed transaction spending one txOut of the key
+ * @param {array} amounts - of the txOuts, in base units
+ * @param {number} inputAmount - of the spent txOut, in base units
+ * @return {object} { transaction, unspentTxOuts }
+ * */
+const createSignedTransaction = (amounts, inputAmount = 100 * COIN) => {
+	const unspentTxOuts = [new UnspentTxOut(spentTxOutId, 0, address, inputAmount, 0)];
+	const txIn = new TxIn();
+	txIn.txOutId = spentTxOutId;
+	txIn.txOutIndex = 0;
+
+	const transaction = new Transaction();
+	transaction.txIns = [txIn];
+	transaction.txOuts = amounts.map((amount) => new TxOut(receiver, amount));
+	transaction.lockTime = 0;
+	transaction.id = getTransactionId(transaction);
+
+	txIn.signature = signTxIn(transaction, 0, privateKey, unspentTxOuts);
+	txIn.publicKey = publicKey;
+
+	return { transaction, unspentTxOuts };
+};
+
+const isValid = (amounts, inputAmount) => {
+	const { transaction, unspentTxOuts } = createSignedTransaction(amounts, inputAmount);
+	return validateTransaction(transaction, unspentTxOuts, 1);
+};
+
+describe('malicious transactions', () => {
+	const invalidAmounts = {
+		'negative': -1,
+		'zero': 0,
+		'NaN': NaN,
+		'Infinity': Infinity,
+		'non-integer': 1.5,
+		'string': '10',
+		'over MAX_SUPPLY': MAX_SUPPLY + 1,
+		'unsafe integer': Number.MAX_SAFE_INTEGER + 2
+	};
+
+	it('accepts a valid transaction', () => {
+		assert.strictEqual(isValid([60 * COIN, 39 * COIN]), true);
+	});
+
+	Object.keys(invalidAmounts).forEach((name) => {
+		const amount = invalidAmounts[name];
+
+		it('rejects a ' + name + ' txOut amount', () => {
+			assert.strictEqual(isValidTxOutStructure(new TxOut(receiver, amount)), false);
+			assert.strictEqual(isValid([amount]), false);
+		});
+	});
+
+	it('rejects a 100/-90 split minting coins from 10', () => {
+		assert.strictEqual(isValid([100 * COIN, -90 * COIN], 10 * COIN), false);
+	});
+
+	// the txIn covers the txOuts, only their sum is invalid
+	it('rejects txOuts summing over MAX_SUPPLY', () => {
+		assert.strictEqual(isValid([MAX_SUPPLY, MAX_SUPPLY], 2 * MAX_SUPPLY), false);
+	});
+
+	it('does not sum amounts past a safe integer', () => {
+		assert.strictEqual(addAmounts([Number.MAX_SAFE_INTEGER, 1]), null);
+	});
+
+	it('rejects txOuts spending more than the txIns', () => {
+		assert.strictEqual(isValid([100 * COIN + 1]), false);
+	});
+});